@@ -1,14 +1,48 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { logger, delay } = require('./utils');
+const { config } = require('./config');
+const metrics = require('./metrics');
+const { logger, delay, withTimeout } = require('./utils');
+const { DEFAULT_PROFILE } = require('./personaProfiles');
+const { createProviders } = require('./llmProviders');
+
+const aiRequests = metrics.counter('whatsapp_bot_ai_requests_total', 'AI response generations by outcome', ['outcome']);
+const aiLatency = metrics.histogram('whatsapp_bot_ai_request_duration_seconds', 'AI response generation latency', ['outcome'], [0.25, 0.5, 1, 2, 5, 10, 20, 30]);
+const providerRequests = metrics.counter('whatsapp_bot_ai_provider_requests_total', 'Model calls by provider and outcome', ['provider', 'outcome']);
+const aiAttempts = metrics.histogram('whatsapp_bot_ai_request_attempts', 'Model calls needed per AI response, including retries', ['outcome'], [1, 2, 3, 4, 5]);
+
+// How the reply language is described to the model
+const LANGUAGE_INSTRUCTIONS = {
+    hindi: 'Always reply in Hindi (Devanagari script). Keep responses short, natural, and conversational.',
+    english: 'Always reply in English. Keep responses short, natural, and conversational.',
+    hinglish: 'Reply in Hinglish (Hindi + English mix). Keep replies short, natural, and conversational. Mix Hindi and English naturally like Indians do in casual chat.'
+};
+
+const EMOJI_GUIDELINES = {
+    none: 'Never use emojis',
+    light: "Use emojis naturally but don't overuse",
+    normal: 'Use emojis freely to keep the chat lively'
+};
+
+function stripEmoji(text) {
+    return text.replace(/[\p{Extended_Pictographic}\p{Emoji_Modifier}\u{FE0F}\u{200D}\u{20E3}]/gu, '').replace(/ {2,}/g, ' ').trim();
+}
 
 class AIService {
     constructor() {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
+        // LLM providers in failover order
+        this.providers = createProviders();
+        // With the stub answering, replies must be predictable: no random quick replies
+        this.quickReplies = this.providers[0].name !== 'stub';
+        this.temperature = config.ai.temperature;
+        this.maxTokens = config.ai.maxTokens;
         
-        // Retry configuration
-        this.maxRetries = 3;
+        // Retry configuration (per provider)
+        this.maxRetries = config.ai.maxRetries;
         this.retryDelay = 1000;
+        this.timeout = config.ai.timeout;
+        
+        // Conversation defaults
+        this.defaultLanguage = config.ai.defaultLanguage;
+        this.maxConversationHistory = config.ai.maxConversationHistory;
         
         // Rate limiting
         this.lastRequestTime = 0;
@@ -34,103 +68,171 @@ class AIService {
         };
     }
 
-    async generateResponse({ message, sender, conversationHistory = [], language = 'hinglish' }) {
+    async generateResponse({ message, sender, conversationHistory = [], language = this.defaultLanguage, profile = DEFAULT_PROFILE, persona = null, group = null, knowledge = null }) {
+        const stopTimer = aiLatency.startTimer();
+        let attempts = 0;
+
         try {
             // Rate limiting check
             await this.enforceRateLimit();
 
             // Build conversation context
-            const contextPrompt = this.buildContextPrompt(message, sender, conversationHistory, language);
+            const contextPrompt = this.buildContextPrompt(message, sender, conversationHistory, language, { profile, persona, group, knowledge });
             
-            // Generate response with retry logic
+            // Try each provider in turn, retrying with backoff before failing over to the next
             let response = null;
             let lastError = null;
 
-            for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-                try {
-                    logger.info(`AI request attempt ${attempt} for message: ${message.substring(0, 50)}...`);
-                    
-                    const result = await this.model.generateContent(contextPrompt);
-                    const responseText = result.response.text();
-                    
-                    if (responseText && responseText.trim().length > 0) {
-                        response = this.postProcessResponse(responseText, language);
-                        break;
-                    }
-                    
-                } catch (error) {
-                    lastError = error;
-                    logger.warn(`AI request attempt ${attempt} failed:`, error.message);
-                    
-                    if (attempt < this.maxRetries) {
-                        const delayTime = this.retryDelay * Math.pow(2, attempt - 1);
-                        await delay(delayTime);
+            for (const provider of this.providers) {
+                const options = this.generationOptions(provider, profile);
+
+                for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+                    attempts++;
+                    try {
+                        logger.info(`AI request attempt ${attempt} on ${provider.name} (${options.model}) for message: ${message.substring(0, 50)}...`);
+                        
+                        const responseText = await withTimeout(
+                            provider.generate(contextPrompt, options),
+                            this.timeout,
+                            `AI request timed out after ${this.timeout}ms`
+                        );
+                        
+                        if (responseText && responseText.trim().length > 0) {
+                            providerRequests.inc({ provider: provider.name, outcome: 'success' });
+                            response = this.postProcessResponse(responseText, profile);
+                            break;
+                        }
+                        providerRequests.inc({ provider: provider.name, outcome: 'empty' });
+                        
+                    } catch (error) {
+                        lastError = error;
+                        providerRequests.inc({ provider: provider.name, outcome: 'error' });
+                        logger.warn(`AI request attempt ${attempt} on ${provider.name} failed:`, error.message);
+                        
+                        if (attempt < this.maxRetries) {
+                            const delayTime = this.retryDelay * Math.pow(2, attempt - 1);
+                            await delay(delayTime);
+                        }
                     }
                 }
+
+                if (response) break;
+                logger.warn(`AI provider ${provider.name} gave no response after ${this.maxRetries} attempts`);
             }
 
             if (!response) {
                 logger.error('All AI attempts failed:', lastError);
-                return this.getFallbackResponse(language);
+                this.recordRequest('fallback', attempts, stopTimer);
+                return this.getFallbackResponse(language, profile);
             }
 
             logger.info(`AI response generated: ${response.substring(0, 100)}...`);
+            this.recordRequest('success', attempts, stopTimer);
             return response;
 
         } catch (error) {
             logger.error('Error in generateResponse:', error);
-            return this.getFallbackResponse(language);
+            this.recordRequest('error', attempts, stopTimer);
+            return this.getFallbackResponse(language, profile);
         }
     }
 
-    buildContextPrompt(message, sender, conversationHistory, language) {
-        // System personality based on language
-        let systemPrompt = '';
-        
-        switch (language) {
-            case 'hindi':
-                systemPrompt = `तुम एक दोस्ताना और मददगार AI असिस्टेंट हो। हमेशा हिंदी में जवाब दो। छोटे और प्राकृतिक उत्तर दो। इमोजी का इस्तेमाल करो।`;
-                break;
-            case 'english':
-                systemPrompt = `You are a friendly and helpful AI assistant. Always reply in English. Keep responses short, natural, and conversational. Use emojis appropriately.`;
-                break;
-            default: // hinglish
-                systemPrompt = `You are a friendly AI assistant who speaks Hinglish (Hindi + English mix). Keep replies short, natural, and conversational like a close friend. Use emojis. Mix Hindi and English naturally like Indians do in casual chat.`;
+    // Model, temperature and token cap for one provider; the session's profile overrides the server defaults
+    generationOptions(provider, profile = DEFAULT_PROFILE) {
+        return {
+            model: profile.models[provider.name] || provider.model,
+            temperature: profile.temperature !== null ? profile.temperature : this.temperature,
+            maxTokens: profile.maxTokens !== null ? profile.maxTokens : this.maxTokens
+        };
+    }
+
+    recordRequest(outcome, attempts, stopTimer) {
+        aiRequests.inc({ outcome });
+        aiAttempts.observe({ outcome }, attempts);
+        stopTimer({ outcome });
+    }
+
+    /**
+     * Build the prompt sent to the model
+     * @param {Object} options - profile: the session's persona profile; persona: extra instructions for this chat;
+     *   group: { name } when the chat is a group; knowledge: { passages } from the session's knowledge base,
+     *   null when it has none
+     */
+    buildContextPrompt(message, sender, conversationHistory, language, { profile = DEFAULT_PROFILE, persona = null, group = null, knowledge = null } = {}) {
+        // Who the bot is, from the session's persona profile
+        let systemPrompt = profile.systemPrompt || `You are ${profile.botName ? `${profile.botName}, ` : ''}a ${profile.tone} WhatsApp assistant.`;
+        systemPrompt += ` ${LANGUAGE_INSTRUCTIONS[language] || LANGUAGE_INSTRUCTIONS.hinglish}`;
+
+        if (profile.businessDescription) {
+            systemPrompt += `\n\nAbout the business you represent:\n${profile.businessDescription}`;
+        }
+        if (profile.forbiddenTopics.length > 0) {
+            systemPrompt += `\n\nNever discuss these topics. If asked about them, politely decline and steer the conversation back: ${profile.forbiddenTopics.join('; ')}.`;
+        }
+
+        if (group) {
+            systemPrompt += `\n\nYou are a participant in the WhatsApp group "${group.name}". Several people talk here; each line of the conversation is prefixed with the speaker's name. Reply only to ${sender}'s latest message.`;
+        }
+        if (persona) {
+            systemPrompt += `\n\nPersona for this chat:\n${persona}`;
+        }
+
+        // Ground answers in the knowledge base; without a matching passage the bot must not guess
+        let referenceInfo = '';
+        if (knowledge && knowledge.passages.length > 0) {
+            systemPrompt += `\n\nAnswer questions about the business only from the reference information below. If it does not contain the answer, say you don't know and offer to check with the team. Never make up prices, policies or other facts.`;
+            referenceInfo = '\n\nReference information:\n' + knowledge.passages
+                .map((passage, index) => `[${index + 1}] ${passage.title}${passage.heading ? ` > ${passage.heading}` : ''}:\n${passage.text}`)
+                .join('\n\n');
+        } else if (knowledge) {
+            systemPrompt += `\n\nNo reference information matches this message. If it asks about prices, policies or other facts about the business, say you don't know and offer to check with the team instead of guessing.`;
         }
 
         // Build conversation context
         let contextMessages = '';
         
-        if (conversationHistory.length > 0) {
+        // slice(-0) would return everything, so MAX_CONVERSATION_HISTORY=0 has to be checked explicitly
+        if (conversationHistory.length > 0 && this.maxConversationHistory > 0) {
             contextMessages = '\n\nRecent conversation:\n';
-            conversationHistory.slice(-6).forEach(msg => {
-                const role = msg.fromMe ? 'Assistant' : 'User';
-                contextMessages += `${role}: ${msg.body}\n`;
+            conversationHistory.slice(-this.maxConversationHistory).forEach(msg => {
+                // In groups, attribute each message to the participant who sent it
+                const speaker = group ? (msg.authorName || msg.author || 'User') : 'User';
+                const role = msg.fromMe ? 'Assistant' : speaker;
+                // Voice notes have no body; their transcript is what was said
+                const text = msg.body || (msg.transcript && msg.transcript.text) || '';
+                contextMessages += `${role}: ${text}\n`;
             });
         }
 
         // Current message context
-        const currentContext = `\n\nUser (${sender}): ${message}\n\nAssistant:`;
+        const currentContext = group
+            ? `\n\n${sender}: ${message}\n\nAssistant:`
+            : `\n\nUser (${sender}): ${message}\n\nAssistant:`;
+
+        const guidelines = [
+            `Keep responses under ${profile.maxReplyWords} words`,
+            'Be helpful and friendly',
+            'Use appropriate tone for the language',
+            "Don't repeat the user's message",
+            `If asked about yourself, say you're ${profile.botName || 'a WhatsApp AI assistant'}`,
+            'For greetings, respond warmly',
+            'For questions, provide helpful answers',
+            EMOJI_GUIDELINES[profile.emojiPolicy],
+            ...profile.guidelines
+        ];
 
         // Combine all parts
         const fullPrompt = `${systemPrompt}
 
 Guidelines:
-- Keep responses under 100 words
-- Be helpful and friendly
-- Use appropriate tone for the language
-- Don't repeat the user's message
-- If asked about yourself, say you're a WhatsApp AI assistant
-- For greetings, respond warmly
-- For questions, provide helpful answers
-- Use emojis naturally but don't overuse
+${guidelines.map(line => `- ${line}`).join('\n')}
 
-${contextMessages}${currentContext}`;
+${referenceInfo}${contextMessages}${currentContext}`;
 
         return fullPrompt;
     }
 
-    postProcessResponse(response, language) {
+    postProcessResponse(response, profile = DEFAULT_PROFILE) {
         // Clean up the response
         let cleaned = response.trim();
         
@@ -138,10 +240,15 @@ ${contextMessages}${currentContext}`;
         cleaned = cleaned.replace(/^(Assistant:|AI:|Bot:)\s*/i, '');
         cleaned = cleaned.replace(/\*\*(.*?)\*\*/g, '$1'); // Remove markdown bold
         cleaned = cleaned.replace(/\*(.*?)\*/g, '$1'); // Remove markdown italics
+
+        if (profile.emojiPolicy === 'none') {
+            cleaned = stripEmoji(cleaned);
+        }
         
         // Ensure response isn't too long
-        if (cleaned.length > 300) {
-            cleaned = cleaned.substring(0, 300).trim();
+        const maxChars = profile.maxReplyChars;
+        if (cleaned.length > maxChars) {
+            cleaned = cleaned.substring(0, maxChars).trim();
             
             // Find last complete sentence
             const lastPeriod = cleaned.lastIndexOf('.');
@@ -149,21 +256,13 @@ ${contextMessages}${currentContext}`;
             const lastExclamation = cleaned.lastIndexOf('!');
             
             const lastSentence = Math.max(lastPeriod, lastQuestion, lastExclamation);
-            if (lastSentence > 200) {
+            if (lastSentence > maxChars * 2 / 3) {
                 cleaned = cleaned.substring(0, lastSentence + 1);
             } else {
                 cleaned += '...';
             }
         }
 
-        // Add personality touches based on language
-        if (language === 'hinglish') {
-            // Add typical Hinglish expressions if missing
-            if (!cleaned.includes('yaar') && !cleaned.includes('bhai') && Math.random() < 0.3) {
-                cleaned = cleaned.replace(/^/, 'Haan ');
-            }
-        }
-
         return cleaned;
     }
 
@@ -179,10 +278,10 @@ ${contextMessages}${currentContext}`;
         this.lastRequestTime = Date.now();
     }
 
-    getFallbackResponse(language) {
-        const responses = this.fallbackResponses[language] || this.fallbackResponses.hinglish;
+    getFallbackResponse(language, profile = DEFAULT_PROFILE) {
+        const responses = this.fallbackResponses[language] || this.fallbackResponses[this.defaultLanguage];
         const randomIndex = Math.floor(Math.random() * responses.length);
-        return responses[randomIndex];
+        return profile.emojiPolicy === 'none' ? stripEmoji(responses[randomIndex]) : responses[randomIndex];
     }
 
     // Helper method to detect message intent
@@ -240,52 +339,59 @@ ${contextMessages}${currentContext}`;
     }
 
     // Advanced response generation with intent detection
-    async generateAdvancedResponse({ message, sender, conversationHistory = [], language = 'hinglish' }) {
+    async generateAdvancedResponse({ message, sender, conversationHistory = [], language = this.defaultLanguage, profile = DEFAULT_PROFILE, persona = null, group = null, knowledge = null }) {
         try {
             // Check for quick response patterns first
             const intent = this.detectIntent(message);
             const quickResponse = this.generateQuickResponse(intent, language);
             
-            // For simple greetings/goodbyes, use quick responses
-            if (quickResponse && (intent === 'greeting' || intent === 'goodbye') && Math.random() < 0.7) {
+            // For simple greetings/goodbyes, use quick responses unless a persona or the
+            // session's profile sets the voice, reference passages were found for the
+            // message, or the stub provider answers (see quickReplies)
+            const customVoice = Boolean(persona || profile !== DEFAULT_PROFILE);
+            const grounded = Boolean(knowledge && knowledge.passages.length > 0);
+            if (this.quickReplies && quickResponse && !customVoice && !grounded &&
+                (intent === 'greeting' || intent === 'goodbye') && Math.random() < 0.7) {
                 return quickResponse;
             }
             
             // For complex queries, use full AI generation
-            return await this.generateResponse({ message, sender, conversationHistory, language });
+            return await this.generateResponse({ message, sender, conversationHistory, language, profile, persona, group, knowledge });
             
         } catch (error) {
             logger.error('Error in generateAdvancedResponse:', error);
-            return this.getFallbackResponse(language);
+            return this.getFallbackResponse(language, profile);
         }
     }
 
-    // Health check for AI service
+    // Health check for AI service: healthy while at least one provider answers
     async healthCheck() {
-        try {
-            const testPrompt = 'Say "OK" if you can respond.';
-            const result = await this.model.generateContent(testPrompt);
-            const response = result.response.text();
-            
-            return {
-                status: 'healthy',
-                response: response.trim(),
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            return {
-                status: 'unhealthy',
-                error: error.message,
-                timestamp: new Date().toISOString()
-            };
+        const testPrompt = 'Say "OK" if you can respond.';
+        const providers = [];
+
+        for (const provider of this.providers) {
+            try {
+                const response = await withTimeout(provider.generate(testPrompt, this.generationOptions(provider)), this.timeout);
+                providers.push({ name: provider.name, model: provider.model, status: 'healthy', response: response.trim() });
+            } catch (error) {
+                providers.push({ name: provider.name, model: provider.model, status: 'unhealthy', error: error.message });
+            }
         }
+
+        return {
+            status: providers.some(provider => provider.status === 'healthy') ? 'healthy' : 'unhealthy',
+            providers,
+            timestamp: new Date().toISOString()
+        };
     }
 
     // Get service statistics
     getStats() {
         return {
+            providers: this.providers.map(provider => ({ name: provider.name, model: provider.model })),
             lastRequestTime: this.lastRequestTime,
             maxRetries: this.maxRetries,
+            timeout: this.timeout,
             minRequestInterval: this.minRequestInterval,
             uptime: process.uptime()
         };
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('./config');
+const { logger, ApiError } = require('./utils');
+
+// Scopes granted to each role. A key may narrow these with its own scope list.
+// '*' grants every scope; 'admin' (key management, health, rate limits) is only granted to admins.
+const ROLE_SCOPES = {
+    viewer: ['sessions:read', 'history:read'],
+    operator: ['sessions:read', 'sessions:write', 'history:read', 'history:write', 'messages:send', 'inbox:write', 'webhooks:manage'],
+    admin: ['*', 'admin']
+};
+
+// Tenant assigned to keys and sessions that do not name one
+const DEFAULT_TENANT = 'default';
+
+class AuthError extends ApiError {
+    constructor(message, status = 401, code = 'UNAUTHORIZED') {
+        super(message, status, code);
+        this.name = 'AuthError';
+    }
+}
+
+class AuthService {
+    constructor() {
+        this.enabled = config.auth.enabled;
+        this.keysFile = path.join(__dirname, 'data', 'auth', 'api_keys.json');
+        this.keys = new Map(); // keyHash -> key record
+        this.ready = this.loadKeys();
+    }
+
+    static hashKey(rawKey) {
+        return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+    }
+
+    async loadKeys() {
+        this.keys.clear();
+
+        // Keys persisted through the admin API
+        try {
+            const data = await fs.readFile(this.keysFile, 'utf8');
+            for (const record of JSON.parse(data)) {
+                this.keys.set(record.keyHash, { ...record, source: 'file' });
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Error loading API keys:', error);
+            }
+        }
+
+        // Keys provided as hashes through the environment
+        for (const record of config.auth.apiKeys) {
+            if (record && record.keyHash) {
+                this.keys.set(record.keyHash, { ...record, source: 'env' });
+            }
+        }
+
+        // Bootstrap admin key so a fresh deployment can create the others
+        const adminKey = config.auth.adminApiKey;
+        if (adminKey) {
+            const keyHash = AuthService.hashKey(adminKey);
+            this.keys.set(keyHash, {
+                id: 'bootstrap-admin',
+                name: 'Bootstrap admin',
+                keyHash,
+                role: 'admin',
+                source: 'env'
+            });
+        }
+
+        if (this.enabled && this.keys.size === 0) {
+            logger.warn('Authentication is enabled but no API keys are configured. All API calls will be rejected.');
+        }
+        if (!this.enabled) {
+            logger.warn('Authentication is disabled (AUTH_ENABLED=false). Do not run like this in production.');
+        }
+
+        return this.keys.size;
+    }
+
+    async saveKeys() {
+        const records = Array.from(this.keys.values())
+            .filter(record => record.source === 'file')
+            .map(({ source, ...record }) => record);
+
+        await fs.mkdir(path.dirname(this.keysFile), { recursive: true });
+        await fs.writeFile(this.keysFile, JSON.stringify(records, null, 2));
+    }
+
+    // Returns the principal for a raw key, or throws AuthError
+    authenticate(rawKey) {
+        if (!this.enabled) {
+            return { id: 'anonymous', name: 'Auth disabled', role: 'admin', scopes: ['*'], tenantId: null };
+        }
+
+        if (!rawKey) {
+            throw new AuthError('API key is required');
+        }
+
+        const keyHash = AuthService.hashKey(rawKey);
+        let record = null;
+
+        // Compare in constant time against every stored hash
+        const candidate = Buffer.from(keyHash, 'hex');
+        for (const [storedHash, stored] of this.keys) {
+            const storedBuffer = Buffer.from(storedHash, 'hex');
+            if (storedBuffer.length === candidate.length && crypto.timingSafeEqual(storedBuffer, candidate)) {
+                record = stored;
+            }
+        }
+
+        if (!record || record.revoked) {
+            throw new AuthError('Invalid API key');
+        }
+
+        return this.toPrincipal(record);
+    }
+
+    toPrincipal(record) {
+        const roleScopes = ROLE_SCOPES[record.role] || [];
+        const scopes = Array.isArray(record.scopes) && record.scopes.length > 0
+            ? record.scopes.filter(scope => roleScopes.includes('*') || roleScopes.includes(scope))
+            : roleScopes;
+
+        return {
+            id: record.id,
+            name: record.name,
+            role: record.role,
+            scopes,
+            // Admin keys without a tenant operate across all tenants
+            tenantId: record.tenantId || (record.role === 'admin' ? null : DEFAULT_TENANT)
+        };
+    }
+
+    hasScope(principal, scope) {
+        if (!principal) return false;
+        return principal.scopes.includes('*') || principal.scopes.includes(scope);
+    }
+
+    authorize(principal, scope) {
+        if (!this.hasScope(principal, scope)) {
+            throw new AuthError(`Missing required scope: ${scope}`, 403, 'FORBIDDEN');
+        }
+    }
+
+    canAccessTenant(principal, tenantId) {
+        if (!principal) return false;
+        if (principal.tenantId === null) return true;
+        return principal.tenantId === (tenantId || DEFAULT_TENANT);
+    }
+
+    authorizeTenant(principal, tenantId) {
+        if (!this.canAccessTenant(principal, tenantId)) {
+            throw new AuthError('Resource belongs to another tenant', 403, 'FORBIDDEN');
+        }
+    }
+
+    // For system-wide resources shared by every tenant (metrics, rate limiter)
+    authorizeCrossTenant(principal) {
+        if (!principal || principal.tenantId !== null) {
+            throw new AuthError('Only keys without a tenant can access system-wide resources', 403, 'FORBIDDEN');
+        }
+    }
+
+    // Key management (admin API)
+    async createApiKey({ name, role = 'viewer', scopes = [], tenantId = null }) {
+        if (!ROLE_SCOPES[role]) {
+            throw new AuthError(`Unknown role: ${role}`, 400, 'INVALID_ROLE');
+        }
+
+        const rawKey = `wab_${crypto.randomBytes(24).toString('hex')}`;
+        const record = {
+            id: crypto.randomUUID(),
+            name: name || role,
+            keyHash: AuthService.hashKey(rawKey),
+            role,
+            scopes,
+            tenantId,
+            createdAt: new Date().toISOString(),
+            source: 'file'
+        };
+
+        this.keys.set(record.keyHash, record);
+        await this.saveKeys();
+        logger.info(`API key created: ${record.id} (${role})`);
+
+        // The raw key is only ever returned here
+        return { apiKey: rawKey, key: this.describeKey(record) };
+    }
+
+    async revokeApiKey(id, principal = null) {
+        for (const [keyHash, record] of this.keys) {
+            if (record.id === id) {
+                if (principal && !this.canAccessTenant(principal, this.toPrincipal(record).tenantId)) {
+                    return false;
+                }
+                if (record.source !== 'file') {
+                    throw new AuthError('Keys configured through the environment cannot be revoked via the API', 400, 'KEY_NOT_REVOCABLE');
+                }
+                this.keys.delete(keyHash);
+                await this.saveKeys();
+                logger.info(`API key revoked: ${id}`);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    listApiKeys(principal = null) {
+        return Array.from(this.keys.values())
+            .map(record => this.describeKey(record))
+            .filter(key => !principal || principal.tenantId === null || key.tenantId === principal.tenantId);
+    }
+
+    describeKey(record) {
+        const { scopes, tenantId } = this.toPrincipal(record);
+
+        return {
+            id: record.id,
+            name: record.name,
+            role: record.role,
+            scopes,
+            tenantId,
+            source: record.source,
+            createdAt: record.createdAt || null
+        };
+    }
+
+    // Express middleware: authenticate and require a scope
+    requireScope(scope) {
+        return async (req, res, next) => {
+            try {
+                await this.ready;
+                req.principal = this.authenticate(extractApiKey(req.headers));
+                if (scope) {
+                    this.authorize(req.principal, scope);
+                }
+                next();
+            } catch (error) {
+                sendApiError(res, error);
+            }
+        };
+    }
+
+    // Socket.io middleware: authenticate the handshake
+    socketMiddleware() {
+        return async (socket, next) => {
+            try {
+                await this.ready;
+                const { auth = {}, headers = {} } = socket.handshake;
+                socket.data.principal = this.authenticate(auth.apiKey || auth.token || extractApiKey(headers));
+                next();
+            } catch (error) {
+                const err = new Error(error.message);
+                err.data = { code: error.code || 'UNAUTHORIZED', status: error.status || 401 };
+                next(err);
+            }
+        };
+    }
+}
+
+function extractApiKey(headers = {}) {
+    if (headers['x-api-key']) {
+        return headers['x-api-key'];
+    }
+
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    return null;
+}
+
+function sendApiError(res, error) {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...(error.details && { details: error.details })
+        });
+    }
+
+    logger.error('Unexpected authentication error:', error);
+    return res.status(500).json({ success: false, error: 'Authentication failed' });
+}
+
+module.exports = AuthService;
+module.exports.AuthError = AuthError;
+module.exports.ROLE_SCOPES = ROLE_SCOPES;
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
+module.exports.sendApiError = sendApiError;
@@ -0,0 +1,528 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const metrics = require('./metrics');
+const RegexSandbox = require('./regexSandbox');
+const { config } = require('./config');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
+
+const MATCH_TYPES = ['exact', 'contains', 'word', 'regex'];
+const ACTION_TYPES = ['text', 'media', 'handoff'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MAX_PATTERN_LENGTH = 500;
+const MAX_MATCHES_PER_SESSION = 500;
+// A regex rule is only disabled after timing out this many times in a row
+const REGEX_TIMEOUTS_BEFORE_DISABLE = 3;
+// Matches are written at most this often instead of on every incoming message
+const MATCH_SAVE_DELAY = 5000;
+const MAX_REPLY_LENGTH = 4096;
+// Regex rules only see this much of a message; the sandbox time limit is what stops a runaway pattern
+const MAX_MATCH_INPUT = 4096;
+
+const autoReplies = metrics.counter('whatsapp_bot_auto_replies_total', 'Auto-responder rule matches by outcome', ['session', 'outcome']);
+
+function normalizeText(text, caseSensitive) {
+    const collapsed = String(text || '').trim().replace(/\s+/g, ' ');
+    return caseSensitive ? collapsed : collapsed.toLowerCase();
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the test function for a rule. Regex rules are tested in the sandbox
+ * and their test function returns a promise.
+ * @param {RegexSandbox} sandbox - Runs user-supplied regular expressions
+ * @throws {ApiError} - 400 for an invalid regular expression
+ */
+function compileMatcher({ matchType, pattern, caseSensitive }, sandbox) {
+    switch (matchType) {
+        case 'exact': {
+            const expected = normalizeText(pattern, caseSensitive);
+            return text => normalizeText(text, caseSensitive) === expected;
+        }
+        case 'contains': {
+            const expected = normalizeText(pattern, caseSensitive);
+            return text => normalizeText(text, caseSensitive).includes(expected);
+        }
+        case 'word': {
+            // Letters, combining marks (Devanagari vowel signs) and digits of any script are word characters
+            const words = escapeRegex(pattern.trim()).replace(/\s+/g, '\\s+');
+            const regex = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])${words}(?![\\p{L}\\p{M}\\p{N}_])`, caseSensitive ? 'u' : 'iu');
+            return text => regex.test(text);
+        }
+        default: {
+            const flags = caseSensitive ? '' : 'i';
+            try {
+                // Compiling is cheap and safe; only matching can backtrack without end
+                new RegExp(pattern, flags);
+            } catch (error) {
+                throw new ApiError(error.message, 400, 'INVALID_RULE');
+            }
+            return text => sandbox.test(pattern, flags, text.slice(0, MAX_MATCH_INPUT));
+        }
+    }
+}
+
+function toMinutes(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Whether a moment falls inside a rule's time window. A window whose end is
+ * before its start runs overnight; its early-morning part counts for the day
+ * it started on.
+ */
+function inTimeWindow(window, date = new Date()) {
+    if (!window) return true;
+
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: window.timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const day = WEEKDAYS.indexOf(parts.weekday);
+    const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const overnight = start > end;
+
+    if (window.days) {
+        const windowDay = overnight && minutes < end ? (day + 6) % 7 : day;
+        if (!window.days.includes(windowDay)) return false;
+    }
+
+    if (start === end) return true;
+    return overnight ? (minutes >= start || minutes < end) : (minutes >= start && minutes < end);
+}
+
+function validateTimeWindow(window) {
+    if (window === null || window === undefined) return null;
+    if (typeof window !== 'object' || Array.isArray(window)) {
+        throw new ApiError('timeWindow must be an object or null', 400, 'INVALID_RULE');
+    }
+
+    const { start = '00:00', end = '00:00', days = null, timezone = config.scheduler.defaultTimezone } = window;
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+        throw new ApiError('timeWindow.start and timeWindow.end must be HH:MM (24-hour)', 400, 'INVALID_RULE');
+    }
+    if (days !== null && (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        throw new ApiError('timeWindow.days must be a non-empty array of weekdays 0 (Sunday) to 6 (Saturday)', 400, 'INVALID_RULE');
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        throw new ApiError(`Unknown timezone: ${timezone}`, 400, 'INVALID_RULE');
+    }
+
+    return { start, end, days: days ? Array.from(new Set(days)).sort() : null, timezone };
+}
+
+/**
+ * Per-session keyword and regex rules checked before a message reaches the AI.
+ * The highest-priority enabled rule that matches inside its time window wins
+ * and answers with a fixed text, a stored media file or a hand-off to a human.
+ * Rules are stored in data/auto_replies.json; the match log and rule hit
+ * counts in data/auto_reply_matches.json, written a few seconds after a match.
+ */
+class AutoResponder {
+    constructor(whatsappManager) {
+        this.manager = whatsappManager;
+        this.rulesFile = path.join(__dirname, 'data', 'auto_replies.json');
+        this.matchesFile = path.join(__dirname, 'data', 'auto_reply_matches.json');
+        this.maxRulesPerSession = config.autoReplies.maxRulesPerSession;
+        this.regexSandbox = new RegexSandbox({ timeout: config.autoReplies.regexTimeout });
+
+        this.rules = new Map();
+        this.matchers = new Map(); // rule ID => compiled test function
+        this.matches = new Map(); // sessionId => match log entries, newest first
+        this.matchSaveTimer = null;
+        this.regexTimeouts = new Map(); // rule ID => consecutive time-outs
+        this.cooldowns = new Map(); // "ruleId:contactId" => time the rule last answered the contact
+
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const data = await readJson(this.rulesFile, {});
+            (data.rules || []).forEach(rule => {
+                try {
+                    this.matchers.set(rule.id, compileMatcher(rule, this.regexSandbox));
+                    this.rules.set(rule.id, rule);
+                } catch (error) {
+                    logger.warn(`Skipping auto-reply rule ${rule.id}: ${error.message}`);
+                }
+            });
+            // Older files kept one match log for all sessions next to the rules
+            if (data.matches) {
+                [...data.matches].reverse().forEach(entry => this.logMatch(entry));
+                this.scheduleMatchSave();
+            }
+        } catch (error) {
+            logger.error('Error loading auto-reply rules:', error);
+        }
+
+        try {
+            const data = await readJson(this.matchesFile, {});
+            this.matches = new Map(Object.entries(data.matches || {}));
+            Object.entries(data.hits || {}).forEach(([ruleId, { hits, lastMatchedAt }]) => {
+                const rule = this.rules.get(ruleId);
+                if (rule) Object.assign(rule, { hits, lastMatchedAt });
+            });
+        } catch (error) {
+            logger.error('Error loading auto-reply matches:', error);
+        }
+    }
+
+    persist() {
+        return writeJson(this.rulesFile, { rules: Array.from(this.rules.values()) });
+    }
+
+    // Batch match log writes; a busy session would otherwise rewrite the file on every message
+    scheduleMatchSave() {
+        if (this.matchSaveTimer) return;
+        this.matchSaveTimer = setTimeout(() => {
+            this.flushMatches().catch(error => {
+                logger.error('Error saving auto-reply matches:', error);
+            });
+        }, MATCH_SAVE_DELAY);
+        this.matchSaveTimer.unref();
+    }
+
+    // Write pending matches now, e.g. on shutdown
+    flushMatches() {
+        clearTimeout(this.matchSaveTimer);
+        this.matchSaveTimer = null;
+
+        const hits = Object.fromEntries(Array.from(this.rules.values())
+            .filter(rule => rule.hits)
+            .map(rule => [rule.id, { hits: rule.hits, lastMatchedAt: rule.lastMatchedAt }]));
+        return writeJson(this.matchesFile, { matches: Object.fromEntries(this.matches), hits });
+    }
+
+    /**
+     * Check rule input and store any uploaded media
+     * @param {Object} input - Fields to set
+     * @param {Object} current - Existing rule when updating
+     * @returns {Object} - Rule fields
+     */
+    async normalizeRule(sessionId, input, current = {}) {
+        const rule = { ...current };
+
+        if (input.name !== undefined || !current.id) {
+            if (typeof input.name !== 'string' || !input.name.trim()) {
+                throw new ApiError('name is required', 400, 'INVALID_RULE');
+            }
+            rule.name = input.name.trim();
+        }
+        if (input.enabled !== undefined || !current.id) rule.enabled = input.enabled === undefined ? true : Boolean(input.enabled);
+        if (input.priority !== undefined || !current.id) {
+            const priority = input.priority === undefined ? 0 : Number(input.priority);
+            if (!Number.isInteger(priority)) {
+                throw new ApiError('priority must be an integer', 400, 'INVALID_RULE');
+            }
+            rule.priority = priority;
+        }
+        if (input.matchType !== undefined || !current.id) {
+            if (!MATCH_TYPES.includes(input.matchType)) {
+                throw new ApiError(`matchType must be one of ${MATCH_TYPES.join(', ')}`, 400, 'INVALID_RULE');
+            }
+            rule.matchType = input.matchType;
+        }
+        if (input.pattern !== undefined || !current.id) {
+            if (typeof input.pattern !== 'string' || !input.pattern.trim() || input.pattern.length > MAX_PATTERN_LENGTH) {
+                throw new ApiError(`pattern must be 1 to ${MAX_PATTERN_LENGTH} characters`, 400, 'INVALID_RULE');
+            }
+            rule.pattern = input.pattern;
+        }
+        if (input.caseSensitive !== undefined || !current.id) rule.caseSensitive = Boolean(input.caseSensitive);
+        if (input.timeWindow !== undefined || !current.id) rule.timeWindow = validateTimeWindow(input.timeWindow);
+        if (input.cooldownSeconds !== undefined || !current.id) {
+            const cooldown = input.cooldownSeconds === undefined ? 0 : Number(input.cooldownSeconds);
+            if (!Number.isInteger(cooldown) || cooldown < 0) {
+                throw new ApiError('cooldownSeconds must be a non-negative integer', 400, 'INVALID_RULE');
+            }
+            rule.cooldownSeconds = cooldown;
+        }
+        if (input.action !== undefined || !current.id) {
+            rule.action = await this.normalizeAction(sessionId, input.action);
+        }
+
+        return rule;
+    }
+
+    async normalizeAction(sessionId, action) {
+        if (!action || !ACTION_TYPES.includes(action.type)) {
+            throw new ApiError(`action.type must be one of ${ACTION_TYPES.join(', ')}`, 400, 'INVALID_RULE');
+        }
+
+        const text = action.text === undefined || action.text === null ? '' : action.text;
+        if (typeof text !== 'string' || text.length > MAX_REPLY_LENGTH) {
+            throw new ApiError(`action.text must be a string of at most ${MAX_REPLY_LENGTH} characters`, 400, 'INVALID_RULE');
+        }
+        if (action.type === 'text' && !text.trim()) {
+            throw new ApiError('action.text is required for text replies', 400, 'INVALID_RULE');
+        }
+
+        if (action.type !== 'media') {
+            return { type: action.type, text };
+        }
+
+        const media = action.media || {};
+        if (media.id) {
+            // A file already in the media store, e.g. one sent or received earlier
+            const { meta } = await this.manager.mediaStore.getFile(sessionId, media.id);
+            return {
+                type: 'media',
+                text,
+                media: { id: meta.id, mimetype: meta.mimetype, filename: media.filename || meta.filenames[0], size: meta.size }
+            };
+        }
+
+        const input = await this.manager.mediaStore.readInput(media);
+        const file = this.manager.mediaStore.validate(input.buffer, input);
+        const reference = await this.manager.mediaStore.save(input.buffer, file, { sessionId });
+        return { type: 'media', text, media: reference };
+    }
+
+    async createRule(sessionId, input = {}) {
+        await this.ready;
+
+        if (this.listRules(sessionId).length >= this.maxRulesPerSession) {
+            throw new ApiError(`A session can have at most ${this.maxRulesPerSession} auto-reply rules`, 400, 'TOO_MANY_RULES');
+        }
+
+        const fields = await this.normalizeRule(sessionId, input);
+        const matcher = compileMatcher(fields, this.regexSandbox);
+        const now = new Date().toISOString();
+        const rule = { id: crypto.randomUUID(), sessionId, ...fields, disabledReason: null, hits: 0, lastMatchedAt: null, createdAt: now, updatedAt: now };
+
+        this.rules.set(rule.id, rule);
+        this.matchers.set(rule.id, matcher);
+        await this.persist();
+
+        logger.info(`Auto-reply rule ${rule.id} (${rule.name}) created for ${sessionId}`);
+        return rule;
+    }
+
+    getRule(sessionId, ruleId) {
+        const rule = this.rules.get(ruleId);
+        if (!rule || rule.sessionId !== sessionId) {
+            throw new ApiError('Rule not found', 404, 'RULE_NOT_FOUND');
+        }
+        return rule;
+    }
+
+    // Highest priority first; among equals, the oldest rule first
+    listRules(sessionId) {
+        return Array.from(this.rules.values())
+            .filter(rule => rule.sessionId === sessionId)
+            .sort((a, b) => b.priority - a.priority || new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async updateRule(sessionId, ruleId, input = {}) {
+        await this.ready;
+
+        const current = this.getRule(sessionId, ruleId);
+        const rule = { ...(await this.normalizeRule(sessionId, input, current)), disabledReason: null, updatedAt: new Date().toISOString() };
+        const matcher = compileMatcher(rule, this.regexSandbox);
+
+        this.rules.set(rule.id, rule);
+        this.matchers.set(rule.id, matcher);
+        this.regexTimeouts.delete(rule.id);
+        await this.persist();
+        return rule;
+    }
+
+    async deleteRule(sessionId, ruleId) {
+        await this.ready;
+
+        const rule = this.getRule(sessionId, ruleId);
+        this.rules.delete(ruleId);
+        this.matchers.delete(ruleId);
+        this.regexTimeouts.delete(ruleId);
+        for (const key of this.cooldowns.keys()) {
+            if (key.startsWith(`${ruleId}:`)) this.cooldowns.delete(key);
+        }
+        await this.persist();
+        return rule;
+    }
+
+    // Turn off a rule that cannot be used safely; updating it clears the reason
+    async disableRule(rule, reason) {
+        rule.enabled = false;
+        rule.disabledReason = reason;
+        rule.updatedAt = new Date().toISOString();
+        await this.persist();
+
+        autoReplies.inc({ session: rule.sessionId, outcome: 'disabled' });
+        logger.warn(`Auto-reply rule ${rule.id} (${rule.name}) on ${rule.sessionId} disabled: ${reason}`);
+    }
+
+    // Media files rules may still send; retention must keep them
+    referencedMediaIds() {
+        return Array.from(this.rules.values())
+            .filter(rule => rule.action.media)
+            .map(rule => rule.action.media.id);
+    }
+
+    /**
+     * First rule that matches a message. A regex rule that runs past the
+     * time limit is skipped, and disabled once it has done so
+     * REGEX_TIMEOUTS_BEFORE_DISABLE times in a row.
+     * @param {Object} options - contactId for cooldowns, now for the time window check
+     * @returns {Promise<Object|null>} - { rule, coolingDown }
+     */
+    async findMatch(sessionId, text, { contactId = null, now = new Date() } = {}) {
+        if (!text) return null;
+
+        for (const rule of this.listRules(sessionId)) {
+            if (!rule.enabled || !inTimeWindow(rule.timeWindow, now)) continue;
+
+            let matched;
+            try {
+                matched = await this.matchers.get(rule.id)(text);
+                this.regexTimeouts.delete(rule.id);
+            } catch (error) {
+                if (error.code === 'REGEX_TIMEOUT') {
+                    const timeouts = (this.regexTimeouts.get(rule.id) || 0) + 1;
+                    this.regexTimeouts.set(rule.id, timeouts);
+                    logger.warn(`Auto-reply rule ${rule.id} on ${sessionId} timed out (${timeouts}/${REGEX_TIMEOUTS_BEFORE_DISABLE})`);
+                    if (timeouts >= REGEX_TIMEOUTS_BEFORE_DISABLE) {
+                        this.regexTimeouts.delete(rule.id);
+                        await this.disableRule(rule, `${error.message} ${timeouts} times in a row`);
+                    }
+                } else {
+                    logger.error(`Auto-reply rule ${rule.id} could not be tested on ${sessionId}:`, error);
+                }
+                continue;
+            }
+            if (!matched) continue;
+
+            const lastReply = contactId ? this.cooldowns.get(`${rule.id}:${contactId}`) : null;
+            const coolingDown = Boolean(lastReply && now.getTime() - lastReply < rule.cooldownSeconds * 1000);
+            return { rule, coolingDown };
+        }
+        return null;
+    }
+
+    /**
+     * Answer a message with a rule if one matches. A rule that matches while
+     * cooling down for the contact still claims the message, so the AI never
+     * improvises an answer to a question that has an approved one.
+     * @returns {boolean} - true when a rule handled the message
+     */
+    async handleMessage(sessionId, chatId, contactId, text, { chat }) {
+        await this.ready;
+
+        const match = await this.findMatch(sessionId, text, { contactId });
+        if (!match) return false;
+
+        const { rule, coolingDown } = match;
+        let outcome = 'cooldown';
+        let error = null;
+
+        if (!coolingDown) {
+            try {
+                outcome = await this.runAction(sessionId, chatId, rule, chat);
+                this.cooldowns.set(`${rule.id}:${contactId}`, Date.now());
+            } catch (actionError) {
+                logger.error(`Auto-reply rule ${rule.id} failed on ${sessionId}:`, actionError);
+                outcome = 'error';
+                error = actionError.message;
+            }
+        }
+
+        await this.recordMatch(sessionId, chatId, contactId, text, rule, outcome, error);
+
+        // A failed rule leaves the message to the AI
+        return outcome !== 'error';
+    }
+
+    async runAction(sessionId, chatId, rule, chat) {
+        const { action } = rule;
+        const autoReply = { ruleId: rule.id, ruleName: rule.name };
+
+        if (action.type === 'media') {
+            const { meta, path: filePath } = await this.manager.mediaStore.getFile(sessionId, action.media.id);
+            await this.manager.sendMediaMessage(sessionId, chatId, {
+                buffer: await fs.readFile(filePath),
+                mimetype: meta.mimetype,
+                filename: action.media.filename,
+                caption: action.text,
+                historyFields: { autoReply }
+            });
+            return 'replied';
+        }
+
+        if (action.text) {
+            await this.manager.sendTypingMessage(sessionId, chat, action.text);
+            await this.manager.saveChatMessage(sessionId, chatId, {
+                id: Date.now().toString(),
+                from: this.manager.getOwnId(sessionId),
+                to: chatId,
+                body: action.text,
+                type: 'chat',
+                timestamp: new Date(),
+                fromMe: true,
+                autoReply
+            });
+        }
+
+        if (action.type === 'handoff') {
+            await this.manager.chatStates.set(sessionId, chatId, { state: 'handed_off', reason: 'auto_reply', by: rule.id });
+            return 'handed_off';
+        }
+        return 'replied';
+    }
+
+    async recordMatch(sessionId, chatId, contactId, text, rule, outcome, error) {
+        const entry = {
+            id: crypto.randomUUID(),
+            sessionId,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            chatId,
+            contactId,
+            message: text.slice(0, 200),
+            action: rule.action.type,
+            outcome,
+            error,
+            matchedAt: new Date().toISOString()
+        };
+
+        rule.hits = (rule.hits || 0) + 1;
+        rule.lastMatchedAt = entry.matchedAt;
+        this.logMatch(entry);
+        this.scheduleMatchSave();
+
+        autoReplies.inc({ session: sessionId, outcome });
+        logger.info(`Auto-reply rule ${rule.id} (${rule.name}) matched on ${sessionId} in ${chatId}: ${outcome}`);
+        this.manager.io.to(`session_${sessionId}`).emit('auto_reply_matched', { clientId: sessionId, ...entry });
+    }
+
+    // Newest first; every session keeps its own most recent matches
+    logMatch(entry) {
+        const log = this.matches.get(entry.sessionId) || [];
+        log.unshift(entry);
+        this.matches.set(entry.sessionId, log.slice(0, MAX_MATCHES_PER_SESSION));
+    }
+
+    listMatches(sessionId, { ruleId = null } = {}) {
+        return (this.matches.get(sessionId) || []).filter(entry => !ruleId || entry.ruleId === ruleId);
+    }
+}
+
+module.exports = AutoResponder;
+module.exports.MATCH_TYPES = MATCH_TYPES;
+module.exports.ACTION_TYPES = ACTION_TYPES;
+module.exports.inTimeWindow = inTimeWindow;
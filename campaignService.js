@@ -0,0 +1,448 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('./config');
+const { logger, ApiError, parseCsv, readJson, writeJson } = require('./utils');
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed', 'cancelled'];
+const RECIPIENT_STATUSES = ['queued', 'sending', 'sent', 'failed', 'skipped_opted_out'];
+
+// How often a campaign waiting for its session checks again
+const SESSION_WAIT_INTERVAL = 5000;
+
+// {{name}} or {{name|fallback}}
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function normalizeRecipient(to) {
+    const value = String(to || '').trim();
+    if (value.includes('@')) return value;
+    const digits = value.replace(/\D/g, '');
+    return digits ? `${digits}@c.us` : null;
+}
+
+/**
+ * Fill {{variables}} of a template
+ * @returns {Object} - { text, missing: names without a value or fallback }
+ */
+function renderTemplate(template, variables = {}) {
+    const missing = [];
+    const text = template.replace(VARIABLE_PATTERN, (placeholder, name, fallback) => {
+        const value = variables[name];
+        if (value !== undefined && value !== null && value !== '') return String(value);
+        if (fallback !== undefined) return fallback;
+        missing.push(name);
+        return placeholder;
+    });
+    return { text, missing };
+}
+
+/**
+ * Broadcast campaigns: a template sent to a recipient list at a throttled,
+ * jittered rate. Progress is persisted per recipient under data/campaigns so
+ * a campaign interrupted by a restart or a disconnect carries on where it stopped.
+ */
+class CampaignService {
+    constructor(whatsappManager) {
+        this.manager = whatsappManager;
+        this.dataDir = path.join(__dirname, 'data', 'campaigns');
+        this.optOutsFile = path.join(this.dataDir, 'opt_outs.json');
+
+        this.defaultRate = config.campaigns.defaultRate;
+        this.maxRate = config.campaigns.maxRate;
+        this.maxRecipients = config.campaigns.maxRecipients;
+        this.maxAttempts = config.campaigns.maxAttempts;
+
+        this.campaigns = new Map();
+        this.optOuts = new Map(); // sessionId => Set of chat IDs
+        this.timers = new Map();
+
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            await fs.mkdir(this.dataDir, { recursive: true });
+
+            const optOuts = await readJson(this.optOutsFile, {});
+            Object.entries(optOuts).forEach(([sessionId, chatIds]) => this.optOuts.set(sessionId, new Set(chatIds)));
+
+            const files = (await fs.readdir(this.dataDir)).filter(file => file.startsWith('campaign_') && file.endsWith('.json'));
+            for (const file of files) {
+                try {
+                    const campaign = JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8'));
+                    this.campaigns.set(campaign.id, campaign);
+                } catch (error) {
+                    logger.warn(`Error reading campaign file ${file}:`, error);
+                }
+            }
+
+            // A send in flight when the process stopped may or may not have gone out;
+            // mark it failed rather than risk messaging the same person twice
+            for (const campaign of this.campaigns.values()) {
+                const interrupted = campaign.recipients.filter(recipient => recipient.status === 'sending');
+                interrupted.forEach(recipient => {
+                    recipient.status = 'failed';
+                    recipient.error = 'Interrupted during send';
+                });
+                if (interrupted.length > 0) await this.persistCampaign(campaign);
+
+                if (campaign.status === 'running') {
+                    this.scheduleNext(campaign, 0);
+                }
+            }
+
+            logger.info(`Campaigns loaded: ${this.campaigns.size}`);
+        } catch (error) {
+            logger.error('Error loading campaigns:', error);
+        }
+    }
+
+    campaignFile(campaignId) {
+        return path.join(this.dataDir, `campaign_${campaignId}.json`);
+    }
+
+    persistCampaign(campaign) {
+        return writeJson(this.campaignFile(campaign.id), campaign);
+    }
+
+    persistOptOuts() {
+        const data = {};
+        this.optOuts.forEach((chatIds, sessionId) => { data[sessionId] = Array.from(chatIds); });
+        return writeJson(this.optOutsFile, data);
+    }
+
+    validateRate({ perMinute = this.defaultRate, jitter = 0.3 } = {}) {
+        const rate = Number(perMinute);
+        const spread = Number(jitter);
+        if (!Number.isFinite(rate) || rate <= 0 || rate > this.maxRate) {
+            throw new ApiError(`rate.perMinute must be between 0 and ${this.maxRate}`, 400, 'INVALID_CAMPAIGN');
+        }
+        if (!Number.isFinite(spread) || spread < 0 || spread > 1) {
+            throw new ApiError('rate.jitter must be between 0 and 1', 400, 'INVALID_CAMPAIGN');
+        }
+        return { perMinute: rate, jitter: spread };
+    }
+
+    /**
+     * Create a campaign
+     * @param {string} sessionId - Session that sends the campaign
+     * @param {Object} options - name, template, recipients ([{ to, ...variables }]) or recipientsCsv, rate { perMinute, jitter }
+     * @returns {Object} - Campaign summary
+     */
+    async createCampaign(sessionId, { name, template, recipients = null, recipientsCsv = null, rate = {} } = {}) {
+        await this.ready;
+
+        if (!name || !template) {
+            throw new ApiError('name and template are required', 400, 'INVALID_CAMPAIGN');
+        }
+
+        const rows = recipientsCsv ? parseCsv(String(recipientsCsv)) : recipients;
+        if (!Array.isArray(rows) || rows.length === 0) {
+            throw new ApiError('recipients (array) or recipientsCsv is required', 400, 'INVALID_CAMPAIGN');
+        }
+        if (rows.length > this.maxRecipients) {
+            throw new ApiError(`A campaign can have at most ${this.maxRecipients} recipients`, 400, 'INVALID_CAMPAIGN');
+        }
+
+        const seen = new Set();
+        const invalid = [];
+        const list = [];
+
+        rows.forEach((row, index) => {
+            const { to, phone, number, ...variables } = row || {};
+            const chatId = normalizeRecipient(to || phone || number);
+            if (!chatId) {
+                invalid.push({ index, error: 'Missing or invalid phone number' });
+                return;
+            }
+            if (seen.has(chatId)) return;
+            seen.add(chatId);
+
+            const { missing } = renderTemplate(template, variables);
+            if (missing.length > 0) {
+                invalid.push({ index, to: chatId, error: `Missing variables: ${missing.join(', ')}` });
+                return;
+            }
+
+            list.push({ to: chatId, variables, status: 'queued', attempts: 0, error: null, sentAt: null });
+        });
+
+        if (invalid.length > 0) {
+            throw new ApiError(`${invalid.length} recipients are invalid`, 400, 'INVALID_RECIPIENTS', { invalid: invalid.slice(0, 50) });
+        }
+
+        const campaign = {
+            id: crypto.randomUUID(),
+            sessionId,
+            name: String(name),
+            template: String(template),
+            rate: this.validateRate(rate),
+            status: 'draft',
+            recipients: list,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null,
+            waitingForSession: false
+        };
+
+        this.campaigns.set(campaign.id, campaign);
+        await this.persistCampaign(campaign);
+        logger.info(`Campaign ${campaign.id} created for ${sessionId} with ${list.length} recipients`);
+
+        return this.describeCampaign(campaign);
+    }
+
+    getCampaign(sessionId, campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || campaign.sessionId !== sessionId) {
+            throw new ApiError('Campaign not found', 404, 'CAMPAIGN_NOT_FOUND');
+        }
+        return campaign;
+    }
+
+    listCampaigns(sessionId, { status = null } = {}) {
+        if (status && !CAMPAIGN_STATUSES.includes(status)) {
+            throw new ApiError(`status must be one of ${CAMPAIGN_STATUSES.join(', ')}`, 400, 'INVALID_CAMPAIGN');
+        }
+        return Array.from(this.campaigns.values())
+            .filter(campaign => campaign.sessionId === sessionId && (!status || campaign.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(campaign => this.describeCampaign(campaign));
+    }
+
+    listRecipients(sessionId, campaignId, { status = null } = {}) {
+        if (status && !RECIPIENT_STATUSES.includes(status)) {
+            throw new ApiError(`status must be one of ${RECIPIENT_STATUSES.join(', ')}`, 400, 'INVALID_CAMPAIGN');
+        }
+        return this.getCampaign(sessionId, campaignId).recipients
+            .filter(recipient => !status || recipient.status === status);
+    }
+
+    describeCampaign({ recipients, ...campaign }) {
+        const counts = Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, 0]));
+        recipients.forEach(recipient => { counts[recipient.status]++; });
+        return { ...campaign, totalRecipients: recipients.length, counts };
+    }
+
+    async startCampaign(sessionId, campaignId) {
+        await this.ready;
+        const campaign = this.getCampaign(sessionId, campaignId);
+        if (!['draft', 'paused'].includes(campaign.status)) {
+            throw new ApiError(`Campaign cannot be started (status: ${campaign.status})`, 409, 'CAMPAIGN_NOT_STARTABLE');
+        }
+
+        campaign.status = 'running';
+        campaign.startedAt = campaign.startedAt || new Date().toISOString();
+        await this.persistCampaign(campaign);
+        this.scheduleNext(campaign, 0);
+
+        logger.info(`Campaign ${campaign.id} started`);
+        return this.describeCampaign(campaign);
+    }
+
+    async pauseCampaign(sessionId, campaignId) {
+        await this.ready;
+        const campaign = this.getCampaign(sessionId, campaignId);
+        if (campaign.status !== 'running') {
+            throw new ApiError(`Only running campaigns can be paused (status: ${campaign.status})`, 409, 'CAMPAIGN_NOT_RUNNING');
+        }
+
+        this.stopTimer(campaign.id);
+        campaign.status = 'paused';
+        campaign.waitingForSession = false;
+        await this.persistCampaign(campaign);
+        this.emitProgress(campaign);
+        return this.describeCampaign(campaign);
+    }
+
+    async cancelCampaign(sessionId, campaignId) {
+        await this.ready;
+        const campaign = this.getCampaign(sessionId, campaignId);
+        if (['completed', 'cancelled'].includes(campaign.status)) {
+            throw new ApiError(`Campaign already ${campaign.status}`, 409, 'CAMPAIGN_FINISHED');
+        }
+
+        this.stopTimer(campaign.id);
+        campaign.status = 'cancelled';
+        campaign.waitingForSession = false;
+        campaign.completedAt = new Date().toISOString();
+        await this.persistCampaign(campaign);
+        this.emitProgress(campaign);
+        return this.describeCampaign(campaign);
+    }
+
+    stopTimer(campaignId) {
+        clearTimeout(this.timers.get(campaignId));
+        this.timers.delete(campaignId);
+    }
+
+    stopAll() {
+        Array.from(this.timers.keys()).forEach(campaignId => this.stopTimer(campaignId));
+    }
+
+    scheduleNext(campaign, wait) {
+        this.stopTimer(campaign.id);
+        const timer = setTimeout(() => {
+            this.timers.delete(campaign.id);
+            this.sendNext(campaign).catch(error => {
+                logger.error(`Error running campaign ${campaign.id}:`, error);
+                // e.g. progress could not be saved; try again rather than stall
+                if (campaign.status === 'running') this.scheduleNext(campaign, SESSION_WAIT_INTERVAL);
+            });
+        }, wait);
+        timer.unref();
+        this.timers.set(campaign.id, timer);
+    }
+
+    // Base interval from the rate, spread by +/- jitter so sends don't look machine-timed
+    nextDelay({ perMinute, jitter }) {
+        const base = 60000 / perMinute;
+        return Math.round(base * (1 + (Math.random() * 2 - 1) * jitter));
+    }
+
+    isSessionConnected(sessionId) {
+        const session = this.manager.sessions.get(sessionId);
+        return Boolean(session && session.status === 'connected');
+    }
+
+    async sendNext(campaign) {
+        if (campaign.status !== 'running') return;
+
+        const recipient = campaign.recipients.find(entry => entry.status === 'queued');
+        if (!recipient) {
+            await this.completeCampaign(campaign);
+            return;
+        }
+
+        // Hold the campaign until the session is back instead of failing everyone
+        if (!this.isSessionConnected(campaign.sessionId)) {
+            if (!campaign.waitingForSession) {
+                campaign.waitingForSession = true;
+                await this.persistCampaign(campaign);
+                this.emitProgress(campaign);
+                logger.warn(`Campaign ${campaign.id} waiting for session ${campaign.sessionId} to connect`);
+            }
+            this.scheduleNext(campaign, SESSION_WAIT_INTERVAL);
+            return;
+        }
+        campaign.waitingForSession = false;
+
+        if (this.isOptedOut(campaign.sessionId, recipient.to)) {
+            recipient.status = 'skipped_opted_out';
+            await this.persistCampaign(campaign);
+            this.emitProgress(campaign);
+            this.scheduleNext(campaign, 0);
+            return;
+        }
+
+        recipient.status = 'sending';
+        recipient.attempts++;
+        try {
+            await this.persistCampaign(campaign);
+        } catch (error) {
+            // Never send what could not be recorded as in flight
+            recipient.status = 'queued';
+            recipient.attempts--;
+            throw error;
+        }
+
+        try {
+            const { text } = renderTemplate(campaign.template, recipient.variables);
+            await this.manager.sendMessage(campaign.sessionId, recipient.to, text);
+            recipient.status = 'sent';
+            recipient.sentAt = new Date().toISOString();
+            recipient.error = null;
+        } catch (error) {
+            // Lost the session mid-send: put the recipient back and wait for a reconnect,
+            // unless it has already used up its attempts
+            if (!this.isSessionConnected(campaign.sessionId) && recipient.attempts < this.maxAttempts) {
+                recipient.status = 'queued';
+            } else {
+                recipient.status = 'failed';
+            }
+            recipient.error = error.message;
+            logger.warn(`Campaign ${campaign.id} send to ${recipient.to} failed: ${error.message}`);
+        }
+
+        await this.persistCampaign(campaign);
+        this.emitProgress(campaign);
+        this.scheduleNext(campaign, this.nextDelay(campaign.rate));
+    }
+
+    async completeCampaign(campaign) {
+        campaign.status = 'completed';
+        campaign.completedAt = new Date().toISOString();
+        await this.persistCampaign(campaign);
+
+        const summary = this.describeCampaign(campaign);
+        this.manager.io.to(`session_${campaign.sessionId}`).emit('campaign_completed', {
+            clientId: campaign.sessionId,
+            campaignId: campaign.id,
+            counts: summary.counts,
+            timestamp: campaign.completedAt
+        });
+        logger.info(`Campaign ${campaign.id} completed`);
+    }
+
+    emitProgress(campaign) {
+        const summary = this.describeCampaign(campaign);
+        this.manager.io.to(`session_${campaign.sessionId}`).emit('campaign_progress', {
+            clientId: campaign.sessionId,
+            campaignId: campaign.id,
+            status: campaign.status,
+            waitingForSession: campaign.waitingForSession,
+            counts: summary.counts,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Opt-out list, checked before every campaign send
+    isOptedOut(sessionId, chatId) {
+        const optOuts = this.optOuts.get(sessionId);
+        return Boolean(optOuts && optOuts.has(chatId));
+    }
+
+    listOptOuts(sessionId) {
+        return Array.from(this.optOuts.get(sessionId) || []);
+    }
+
+    async addOptOuts(sessionId, numbers) {
+        await this.ready;
+        const chatIds = this.normalizeNumbers(numbers);
+        if (!this.optOuts.has(sessionId)) this.optOuts.set(sessionId, new Set());
+        chatIds.forEach(chatId => this.optOuts.get(sessionId).add(chatId));
+        await this.persistOptOuts();
+        return this.listOptOuts(sessionId);
+    }
+
+    async removeOptOuts(sessionId, numbers) {
+        await this.ready;
+        const chatIds = this.normalizeNumbers(numbers);
+        const optOuts = this.optOuts.get(sessionId);
+        if (optOuts) chatIds.forEach(chatId => optOuts.delete(chatId));
+        await this.persistOptOuts();
+        return this.listOptOuts(sessionId);
+    }
+
+    normalizeNumbers(numbers) {
+        const list = Array.isArray(numbers) ? numbers : [numbers];
+        const chatIds = list.map(normalizeRecipient);
+        if (list.length === 0 || chatIds.some(chatId => !chatId)) {
+            throw new ApiError('numbers must be a list of phone numbers', 400, 'INVALID_OPT_OUT');
+        }
+        return chatIds;
+    }
+
+    getStats() {
+        const byStatus = {};
+        for (const campaign of this.campaigns.values()) {
+            byStatus[campaign.status] = (byStatus[campaign.status] || 0) + 1;
+        }
+        return { total: this.campaigns.size, byStatus };
+    }
+}
+
+module.exports = CampaignService;
+module.exports.renderTemplate = renderTemplate;
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
+module.exports.RECIPIENT_STATUSES = RECIPIENT_STATUSES;
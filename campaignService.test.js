@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CampaignService = require('./campaignService');
+
+describe('CampaignService delivery', () => {
+    let tempDir;
+    let manager;
+    let session;
+    let sent;
+    let services;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'campaigns-'));
+        session = { status: 'connected' };
+        sent = [];
+        services = [];
+        manager = {
+            sessions: new Map([['c1', session]]),
+            sendMessage: async (sessionId, to, message) => {
+                sent.push({ to, message });
+                return { to };
+            },
+            io: { to: () => ({ emit: () => {} }) }
+        };
+    });
+
+    afterEach(async () => {
+        services.forEach(service => service.stopAll());
+        // Queued behind any save a timer started, so the directory is quiet before removal
+        for (const service of services) {
+            await Promise.all(Array.from(service.campaigns.values()).map(campaign => service.persistCampaign(campaign)));
+        }
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    // A service reading and writing the temp directory, as after a restart
+    async function startService() {
+        const service = new CampaignService(manager);
+        await service.ready;
+        service.stopAll();
+        service.campaigns.clear();
+        service.dataDir = tempDir;
+        service.optOutsFile = path.join(tempDir, 'opt_outs.json');
+        await service.load();
+        // Sends a few milliseconds apart
+        service.maxRate = 60000;
+        services.push(service);
+        return service;
+    }
+
+    async function createRunningCampaign(service, recipients) {
+        const { id } = await service.createCampaign('c1', {
+            name: 'Offer',
+            template: 'Hi {{name}}',
+            recipients,
+            rate: { perMinute: 60000, jitter: 0 }
+        });
+        await service.startCampaign('c1', id);
+        return id;
+    }
+
+    async function waitFor(check) {
+        const deadline = Date.now() + 2000;
+        while (!check()) {
+            if (Date.now() > deadline) throw new Error('Timed out waiting for the campaign');
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    test('after a restart, fails the send that was in flight and carries on with the rest', async () => {
+        const first = await startService();
+        const campaignId = await createRunningCampaign(first, [
+            { to: '911111', name: 'Asha' },
+            { to: '912222', name: 'Ravi' }
+        ]);
+        first.stopAll();
+
+        // The process stopped while the first message was being sent
+        const campaign = first.getCampaign('c1', campaignId);
+        campaign.recipients[0].status = 'sending';
+        campaign.recipients[0].attempts = 1;
+        await first.persistCampaign(campaign);
+
+        const restarted = await startService();
+        await waitFor(() => restarted.getCampaign('c1', campaignId).status === 'completed');
+
+        const recipients = restarted.listRecipients('c1', campaignId);
+        expect(recipients[0]).toMatchObject({ status: 'failed', error: 'Interrupted during send' });
+        expect(recipients[1]).toMatchObject({ status: 'sent', attempts: 1 });
+        expect(sent).toEqual([{ to: '912222@c.us', message: 'Hi Ravi' }]);
+    });
+
+    test('requeues a recipient when the session drops mid-send, up to the attempt limit', async () => {
+        const service = await startService();
+        service.maxAttempts = 2;
+        manager.sendMessage = async () => {
+            session.status = 'disconnected';
+            throw new Error('Session closed');
+        };
+
+        const campaignId = await createRunningCampaign(service, [{ to: '911111', name: 'Asha' }]);
+        // Drive the sends by hand so the session can reconnect between them
+        service.stopAll();
+        service.scheduleNext = () => {};
+        const campaign = service.getCampaign('c1', campaignId);
+
+        await service.sendNext(campaign);
+        expect(campaign.recipients[0]).toMatchObject({ status: 'queued', attempts: 1 });
+
+        session.status = 'connected';
+        await service.sendNext(campaign);
+        expect(campaign.recipients[0]).toMatchObject({ status: 'failed', attempts: 2, error: 'Session closed' });
+    });
+});
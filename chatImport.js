@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { ApiError } = require('./utils');
+
+const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+
+// Header of a message line in WhatsApp's "Export chat" files. Covers Android
+// ("19/10/2026, 14:47 - Name: text") and iOS ("[19/10/26, 2:47:05 PM] Name: text")
+// with /, . or - date separators, 12/24-hour clocks and optional seconds.
+const LINE_PATTERN = new RegExp(
+    '^\\[?' +
+    '(\\d{1,4})[/.\\-](\\d{1,2})[/.\\-](\\d{1,4})\\.?' +          // date
+    ',?\\s+' +
+    '(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?' +                   // time
+    '(?:\\s*([aApP])\\.?\\s?[mM]\\.?)?' +                         // am/pm
+    '\\]?\\s*(?:-\\s)?' +
+    '(.*)$'
+);
+
+// Placeholders WhatsApp writes instead of attachments when exporting without media
+const MEDIA_PATTERNS = [
+    /^<Media omitted>$/i,
+    /^<attached: .+>$/i,
+    /^(image|video|audio|sticker|GIF|document) omitted$/i,
+    /^.+\.\w{2,5} \(file attached\)$/i
+];
+
+// Invisible direction marks iOS puts in front of lines and names
+const INVISIBLE_CHARS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+
+function normalizeYear(year) {
+    return year < 100 ? 2000 + year : year;
+}
+
+function detectDateOrder(headers) {
+    for (const [first] of headers) {
+        if (first > 31) return 'YMD';
+    }
+    if (headers.some(([first]) => first > 12)) return 'DMY';
+    if (headers.some(([, second]) => second > 12)) return 'MDY';
+    return null;
+}
+
+// Offset of a time zone from UTC, in ms, at a given instant
+function timeZoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+}
+
+// Wall-clock time in a time zone to a Date
+function zonedTime(year, month, day, hour, minute, second, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    let timestamp = wallClock - timeZoneOffset(wallClock, timeZone);
+    // A second pass settles instants close to a DST change
+    timestamp = wallClock - timeZoneOffset(timestamp, timeZone);
+    return new Date(timestamp);
+}
+
+function splitSender(rest) {
+    const separator = rest.indexOf(': ');
+    if (separator <= 0) return null;
+    return {
+        sender: rest.slice(0, separator).replace(INVISIBLE_CHARS, '').trim(),
+        body: rest.slice(separator + 2)
+    };
+}
+
+function normalizeSender(name) {
+    return name.replace(/[\s\-()]/g, '').toLowerCase();
+}
+
+/**
+ * Parse the text of a WhatsApp "Export chat" file
+ * @param {string} text - File contents
+ * @param {Object} options - dateOrder (DMY|MDY|YMD, detected when omitted), timezone of the exporting phone
+ * @returns {Object} - { messages: [{ timestamp, sender, body, media }], senders, dateOrder, skipped }
+ */
+function parseWhatsAppExport(text, { dateOrder = null, timezone = 'UTC' } = {}) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new ApiError('Export text is empty', 400, 'INVALID_IMPORT');
+    }
+    if (dateOrder && !DATE_ORDERS.includes(dateOrder)) {
+        throw new ApiError(`dateOrder must be one of ${DATE_ORDERS.join(', ')}`, 400, 'INVALID_IMPORT');
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        throw new ApiError(`Unknown timezone: ${timezone}`, 400, 'INVALID_IMPORT');
+    }
+
+    // Group raw lines into entries; lines without a header continue the previous message
+    const entries = [];
+    for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+        const line = rawLine.replace(INVISIBLE_CHARS, '').replace(/[\u00a0\u202f]/g, ' ');
+        const match = LINE_PATTERN.exec(line);
+
+        if (match) {
+            entries.push({ match, lines: [] });
+        } else if (entries.length > 0) {
+            entries[entries.length - 1].lines.push(rawLine.replace(INVISIBLE_CHARS, ''));
+        }
+    }
+
+    if (entries.length === 0) {
+        throw new ApiError('No WhatsApp messages found in export', 400, 'INVALID_IMPORT');
+    }
+
+    const order = dateOrder || detectDateOrder(entries.map(({ match }) => [Number(match[1]), Number(match[2])])) || 'DMY';
+
+    const messages = [];
+    const senders = new Set();
+    let skipped = 0;
+
+    for (const { match, lines } of entries) {
+        const [, a, b, c, hourText, minute, second, meridiem, rest] = match;
+        const [year, month, day] = order === 'YMD'
+            ? [Number(a), Number(b), Number(c)]
+            : order === 'MDY'
+                ? [normalizeYear(Number(c)), Number(a), Number(b)]
+                : [normalizeYear(Number(c)), Number(b), Number(a)];
+
+        let hour = Number(hourText);
+        if (meridiem) {
+            const pm = meridiem.toLowerCase() === 'p';
+            hour = (hour % 12) + (pm ? 12 : 0);
+        }
+
+        const parsed = splitSender(rest);
+        // System notices ("Messages are end-to-end encrypted", "X added Y") have no sender
+        if (!parsed || month < 1 || month > 12 || day < 1 || day > 31 || hour > 23) {
+            skipped++;
+            continue;
+        }
+
+        const body = [parsed.body, ...lines].join('\n').replace(/\s+$/, '');
+        const media = MEDIA_PATTERNS.some(pattern => pattern.test(body.trim()));
+
+        senders.add(parsed.sender);
+        messages.push({
+            timestamp: zonedTime(year, month, day, hour, Number(minute), Number(second || 0), timezone),
+            sender: parsed.sender,
+            body,
+            media
+        });
+    }
+
+    return { messages, senders: Array.from(senders), dateOrder: order, skipped };
+}
+
+/**
+ * Work out which sender is the account owner
+ * @param {Array} senders - Sender names found in the export
+ * @param {Object} options - ownerName given by the caller, pushname of the session, chatId of the contact
+ * @returns {string|null} - Owner's sender name, or null when it cannot be decided
+ */
+function resolveOwner(senders, { ownerName = null, pushname = null, chatId = null } = {}) {
+    const find = name => senders.find(sender => normalizeSender(sender) === normalizeSender(name));
+
+    if (ownerName) {
+        return find(ownerName) || ownerName;
+    }
+    if (pushname && find(pushname)) {
+        return find(pushname);
+    }
+
+    // In a one-to-one chat the owner is whoever is not the contact's number
+    const contactNumber = chatId ? chatId.split('@')[0] : null;
+    if (contactNumber && senders.length === 2) {
+        const others = senders.filter(sender => normalizeSender(sender).replace(/^\+/, '') !== contactNumber);
+        if (others.length === 1) return others[0];
+    }
+
+    return null;
+}
+
+/**
+ * Turn parsed entries into SessionStore message records. IDs are derived from
+ * the content so importing the same file twice yields the same records.
+ */
+function toMessageRecords(messages, { chatId, ownerName, ownJid = null }) {
+    const occurrences = new Map();
+
+    return messages.map(message => {
+        const fromMe = normalizeSender(message.sender) === normalizeSender(ownerName);
+        const fingerprint = crypto.createHash('sha1')
+            .update(`${chatId}\n${message.timestamp.toISOString()}\n${message.sender}\n${message.body}`)
+            .digest('hex')
+            .slice(0, 20);
+
+        // Identical lines in the same minute ("ok", "ok") are distinct messages
+        const occurrence = occurrences.get(fingerprint) || 0;
+        occurrences.set(fingerprint, occurrence + 1);
+
+        return {
+            id: `import_${fingerprint}_${occurrence}`,
+            from: fromMe ? ownJid : chatId,
+            to: fromMe ? chatId : ownJid,
+            author: message.sender,
+            body: message.body,
+            type: message.media ? 'media_omitted' : 'chat',
+            timestamp: message.timestamp,
+            fromMe,
+            imported: true
+        };
+    });
+}
+
+module.exports = {
+    DATE_ORDERS,
+    parseWhatsAppExport,
+    resolveOwner,
+    toMessageRecords
+};
@@ -0,0 +1,58 @@
+const { parseWhatsAppExport } = require('./chatImport');
+
+describe('parseWhatsAppExport', () => {
+    test('detects day-first dates from a day above 12', () => {
+        const { dateOrder, messages } = parseWhatsAppExport([
+            '05/03/2026, 09:15 - Asha: Hi',
+            '19/10/2026, 14:47 - Ravi: Hello'
+        ].join('\n'));
+
+        expect(dateOrder).toBe('DMY');
+        expect(messages.map(message => message.timestamp.toISOString())).toEqual([
+            '2026-03-05T09:15:00.000Z',
+            '2026-10-19T14:47:00.000Z'
+        ]);
+    });
+
+    test('detects month-first dates from iOS exports with a 12-hour clock', () => {
+        const { dateOrder, messages } = parseWhatsAppExport([
+            '[3/5/26, 9:15:05 AM] Asha: Hi',
+            '[10/19/26, 2:47:00 PM] Ravi: Hello'
+        ].join('\n'));
+
+        expect(dateOrder).toBe('MDY');
+        expect(messages.map(message => message.timestamp.toISOString())).toEqual([
+            '2026-03-05T09:15:05.000Z',
+            '2026-10-19T14:47:00.000Z'
+        ]);
+    });
+
+    test('uses the given order when the dates are ambiguous', () => {
+        const text = '05/03/2026, 09:15 - Asha: Hi';
+
+        expect(parseWhatsAppExport(text).messages[0].timestamp.toISOString()).toBe('2026-03-05T09:15:00.000Z');
+        expect(parseWhatsAppExport(text, { dateOrder: 'MDY' }).messages[0].timestamp.toISOString()).toBe('2026-05-03T09:15:00.000Z');
+    });
+
+    test('joins continuation lines into the message above and skips system notices', () => {
+        const { messages, senders, skipped } = parseWhatsAppExport([
+            '19/10/2026, 14:40 - Messages and calls are end-to-end encrypted.',
+            '19/10/2026, 14:47 - Asha: Order list:',
+            '2 kg rice',
+            '',
+            '1 L oil',
+            '19/10/2026, 14:48 - Ravi: <Media omitted>'
+        ].join('\n'));
+
+        expect(skipped).toBe(1);
+        expect(senders).toEqual(['Asha', 'Ravi']);
+        expect(messages[0].body).toBe('Order list:\n2 kg rice\n\n1 L oil');
+        expect(messages[1].media).toBe(true);
+    });
+
+    test('reads times in the timezone of the exporting phone', () => {
+        const { messages } = parseWhatsAppExport('19/10/2026, 14:47 - Asha: Hi', { timezone: 'Asia/Kolkata' });
+
+        expect(messages[0].timestamp.toISOString()).toBe('2026-10-19T09:17:00.000Z');
+    });
+});
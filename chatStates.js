@@ -0,0 +1,164 @@
+const path = require('path');
+const { config } = require('./config');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
+
+// auto: the bot replies; paused: silent until resumeAt (or resumed); handed_off: silent until resumed
+const BOT_STATES = ['auto', 'paused', 'handed_off'];
+
+// setTimeout cannot wait longer than ~24.8 days; longer pauses are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Whether the bot may reply in each chat. A chat leaves 'auto' when an
+ * operator pauses it or hands it off, or when the owner replies manually from
+ * their phone; timed pauses resume on their own. Only chats that are not in
+ * 'auto' are stored, in data/chat_states.json.
+ */
+class ChatStates {
+    constructor(whatsappManager) {
+        this.manager = whatsappManager;
+        this.stateFile = path.join(__dirname, 'data', 'chat_states.json');
+        this.takeoverEnabled = config.takeover.enabled;
+        this.takeoverTimeout = config.takeover.timeout;
+
+        this.states = new Map();
+        this.timers = new Map();
+
+        this.ready = this.load();
+    }
+
+    key(sessionId, chatId) {
+        return `${sessionId}:${chatId}`;
+    }
+
+    async load() {
+        try {
+            const data = await readJson(this.stateFile, {});
+            Object.values(data).forEach(state => {
+                this.states.set(this.key(state.sessionId, state.chatId), state);
+                this.armResume(state);
+            });
+        } catch (error) {
+            logger.error('Error loading chat states:', error);
+        }
+    }
+
+    persist() {
+        return writeJson(this.stateFile, Object.fromEntries(this.states));
+    }
+
+    get(sessionId, chatId) {
+        const stored = this.states.get(this.key(sessionId, chatId));
+        if (!stored || (stored.resumeAt && new Date(stored.resumeAt) <= new Date())) {
+            return { sessionId, chatId, state: 'auto' };
+        }
+        return stored;
+    }
+
+    isBotActive(sessionId, chatId) {
+        return this.get(sessionId, chatId).state === 'auto';
+    }
+
+    list(sessionId) {
+        return Array.from(this.states.values())
+            .filter(entry => entry.sessionId === sessionId)
+            .map(entry => this.get(sessionId, entry.chatId))
+            .filter(entry => entry.state !== 'auto');
+    }
+
+    /**
+     * Change the bot state of a chat
+     * @param {Object} options - state, durationMs for 'paused' (0 = until resumed), reason, by
+     * @returns {Object} - The new state
+     */
+    async set(sessionId, chatId, { state, durationMs = null, reason = 'operator', by = null } = {}) {
+        await this.ready;
+
+        if (!BOT_STATES.includes(state)) {
+            throw new ApiError(`state must be one of ${BOT_STATES.join(', ')}`, 400, 'INVALID_BOT_STATE');
+        }
+
+        const key = this.key(sessionId, chatId);
+        this.clearTimer(key);
+
+        if (state === 'auto') {
+            this.states.delete(key);
+            await this.persist();
+            return this.announce({ sessionId, chatId, state, reason, by });
+        }
+
+        let resumeAt = null;
+        if (state === 'paused') {
+            const duration = durationMs === null ? this.takeoverTimeout : Number(durationMs);
+            if (!Number.isInteger(duration) || duration < 0) {
+                throw new ApiError('durationMs must be a non-negative integer (0 = until resumed)', 400, 'INVALID_BOT_STATE');
+            }
+            resumeAt = duration > 0 ? new Date(Date.now() + duration).toISOString() : null;
+        }
+
+        const entry = { sessionId, chatId, state, reason, by, since: new Date().toISOString(), resumeAt };
+        this.states.set(key, entry);
+        this.armResume(entry);
+        await this.persist();
+        return this.announce(entry);
+    }
+
+    /**
+     * The owner replied from their phone, or an agent from the inbox: pause
+     * the bot in that chat, or push back the resume time of a pause that is
+     * already running. A hand-off is left alone.
+     */
+    async recordManualReply(sessionId, chatId, { reason = 'manual_reply', by = null } = {}) {
+        if (!this.takeoverEnabled) return null;
+        await this.ready;
+
+        const current = this.get(sessionId, chatId);
+        if (current.state === 'handed_off') return current;
+        if (current.state === 'paused' && !current.resumeAt) return current;
+
+        logger.info(`Manual reply on ${sessionId} in ${chatId}, pausing the bot`);
+        return this.set(sessionId, chatId, { state: 'paused', reason, by });
+    }
+
+    armResume(entry) {
+        if (!entry.resumeAt) return;
+
+        const key = this.key(entry.sessionId, entry.chatId);
+        const wait = new Date(entry.resumeAt).getTime() - Date.now();
+        const timer = setTimeout(() => {
+            this.timers.delete(key);
+            if (wait > MAX_TIMER_DELAY) {
+                this.armResume(entry);
+                return;
+            }
+            this.set(entry.sessionId, entry.chatId, { state: 'auto', reason: 'timeout' }).catch(error => {
+                logger.error(`Error resuming bot in ${entry.chatId}:`, error);
+            });
+        }, Math.max(0, Math.min(wait, MAX_TIMER_DELAY)));
+        timer.unref();
+        this.timers.set(key, timer);
+    }
+
+    clearTimer(key) {
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+    }
+
+    announce(entry) {
+        this.manager.notifySession(entry.sessionId, 'chat_state_changed', {
+            clientId: entry.sessionId,
+            ...entry,
+            timestamp: new Date().toISOString()
+        });
+        return entry;
+    }
+
+    stopAll() {
+        for (const key of this.timers.keys()) {
+            this.clearTimer(key);
+        }
+    }
+}
+
+module.exports = ChatStates;
+module.exports.BOT_STATES = BOT_STATES;
@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ChatStates = require('./chatStates');
+
+describe('ChatStates takeover', () => {
+    let chatStates;
+    let tempDir;
+    let events;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chat-states-'));
+        events = [];
+        const manager = { notifySession: (sessionId, event, data) => events.push({ event, ...data }) };
+
+        chatStates = new ChatStates(manager);
+        await chatStates.ready;
+        chatStates.stopAll();
+        chatStates.states.clear();
+        chatStates.stateFile = path.join(tempDir, 'chat_states.json');
+        chatStates.takeoverEnabled = true;
+        chatStates.takeoverTimeout = 100;
+    });
+
+    afterEach(async () => {
+        chatStates.stopAll();
+        // Queued behind any save a timer started, so the directory is quiet before removal
+        await chatStates.persist();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function waitFor(check) {
+        const deadline = Date.now() + 2000;
+        while (!check()) {
+            if (Date.now() > deadline) throw new Error('Timed out waiting for the chat state');
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    test('a manual reply pauses the bot and it resumes on its own after the timeout', async () => {
+        await chatStates.recordManualReply('c1', '911111@c.us');
+
+        expect(chatStates.isBotActive('c1', '911111@c.us')).toBe(false);
+        expect(chatStates.isBotActive('c1', '912222@c.us')).toBe(true);
+        expect(events[0]).toMatchObject({ event: 'chat_state_changed', state: 'paused', reason: 'manual_reply' });
+
+        await waitFor(() => events.length === 2);
+
+        expect(events[1]).toMatchObject({ state: 'auto', reason: 'timeout', chatId: '911111@c.us' });
+        expect(chatStates.isBotActive('c1', '911111@c.us')).toBe(true);
+        expect(JSON.parse(await fs.readFile(chatStates.stateFile, 'utf8'))).toEqual({});
+    });
+
+    test('another manual reply pushes back the resume time', async () => {
+        const first = await chatStates.recordManualReply('c1', '911111@c.us');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const second = await chatStates.recordManualReply('c1', '911111@c.us');
+
+        expect(new Date(second.resumeAt).getTime()).toBeGreaterThan(new Date(first.resumeAt).getTime());
+        expect(chatStates.timers.size).toBe(1);
+    });
+
+    test('a manual reply leaves a hand-off and an open-ended pause alone', async () => {
+        await chatStates.set('c1', '911111@c.us', { state: 'handed_off' });
+        await chatStates.set('c1', '912222@c.us', { state: 'paused', durationMs: 0 });
+
+        expect(await chatStates.recordManualReply('c1', '911111@c.us')).toMatchObject({ state: 'handed_off', resumeAt: null });
+        expect(await chatStates.recordManualReply('c1', '912222@c.us')).toMatchObject({ state: 'paused', resumeAt: null });
+        expect(chatStates.timers.size).toBe(0);
+    });
+
+    test('does nothing when takeover is disabled', async () => {
+        chatStates.takeoverEnabled = false;
+
+        expect(await chatStates.recordManualReply('c1', '911111@c.us')).toBeNull();
+        expect(chatStates.isBotActive('c1', '911111@c.us')).toBe(true);
+    });
+});
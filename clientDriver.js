@@ -0,0 +1,109 @@
+const path = require('path');
+const { config } = require('./config');
+const { logger } = require('./utils');
+
+// Puppeteer flags for running headless Chromium inside small containers
+const PUPPETEER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--single-process',
+    '--disable-gpu'
+];
+
+// Driver factories: (clientId, options) => client exposing the whatsapp-web.js Client API
+const drivers = new Map();
+
+drivers.set('web', (clientId, { dataPath }) => {
+    // Loaded lazily so mock mode never pulls in Puppeteer
+    const { Client, LocalAuth } = require('whatsapp-web.js');
+
+    return new Client({
+        authStrategy: new LocalAuth({
+            clientId,
+            dataPath
+        }),
+        puppeteer: {
+            headless: true,
+            args: PUPPETEER_ARGS
+        },
+        webVersionCache: {
+            type: 'remote',
+            remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+        }
+    });
+});
+
+drivers.set('mock', (clientId) => {
+    const MockWhatsAppClient = require('./mockWhatsAppClient');
+
+    return new MockWhatsAppClient({
+        clientId,
+        autoReady: config.whatsapp.mockAutoReady
+    });
+});
+
+/**
+ * Register an additional client driver
+ * @param {string} name - Driver name, selected with WHATSAPP_DRIVER
+ * @param {Function} factory - (clientId, options) => client
+ */
+function registerDriver(name, factory) {
+    drivers.set(name, factory);
+}
+
+/**
+ * Name of the driver in use. MOCK_WHATSAPP=true always selects the mock.
+ * @returns {string} - Driver name
+ */
+function getDriverName() {
+    if (config.whatsapp.mock) {
+        return 'mock';
+    }
+    return config.whatsapp.driver;
+}
+
+/**
+ * Create a WhatsApp client for a session using the configured driver
+ * @param {string} clientId - Session ID
+ * @param {Object} options - Driver options (dataPath)
+ * @returns {Object} - Client instance
+ */
+function createClient(clientId, options = {}) {
+    const name = getDriverName();
+    const factory = drivers.get(name);
+
+    if (!factory) {
+        throw new Error(`Unknown WhatsApp client driver: ${name}`);
+    }
+
+    logger.debug(`Creating ${name} client for ${clientId}`);
+    return factory(clientId, {
+        dataPath: path.join(__dirname, 'data', 'sessions'),
+        ...options
+    });
+}
+
+/**
+ * Build an outgoing media attachment for the driver in use. The web driver
+ * needs a whatsapp-web.js MessageMedia; other drivers get a plain object with
+ * the same fields, so whatsapp-web.js stays unloaded outside the web driver.
+ * @returns {Object} - Media to pass to client.sendMessage
+ */
+function createMedia(mimetype, data, filename, filesize) {
+    if (getDriverName() === 'web') {
+        const { MessageMedia } = require('whatsapp-web.js');
+        return new MessageMedia(mimetype, data, filename, filesize);
+    }
+    return { mimetype, data, filename, filesize };
+}
+
+module.exports = {
+    createClient,
+    createMedia,
+    registerDriver,
+    getDriverName
+};
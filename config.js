@@ -0,0 +1,293 @@
+require('dotenv').config();
+
+const { logger, parseEnvVar } = require('./utils');
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Providers llmProviders.js implements
+const AI_PROVIDER_NAMES = ['gemini', 'openai', 'stub'];
+
+// Every supported environment variable, where it lands in the config object,
+// its type, default and constraints
+const schema = {
+    // Server
+    NODE_ENV: { path: 'server.env', type: 'string', default: 'development' },
+    PORT: { path: 'server.port', type: 'number', default: 10000, integer: true, min: 0, max: 65535 },
+    FRONTEND_URL: { path: 'server.frontendUrl', type: 'string', default: 'http://localhost:3000' },
+    DEV_MODE: { path: 'server.devMode', type: 'boolean', default: false },
+    DETAILED_ERRORS: { path: 'server.detailedErrors', type: 'boolean', default: false },
+
+    // Logging
+    LOG_LEVEL: { path: 'logging.level', type: 'string', default: 'info', enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'] },
+    DEBUG_MODE: { path: 'logging.debug', type: 'boolean', default: false },
+    LOG_RETENTION_DAYS: { path: 'logging.retentionDays', type: 'number', default: 30, integer: true, min: 1 },
+
+    // Security
+    SESSION_SECRET: { path: 'security.sessionSecret', type: 'string', default: null },
+    AUTH_ENABLED: { path: 'auth.enabled', type: 'boolean', default: true },
+    ADMIN_API_KEY: {
+        path: 'auth.adminApiKey',
+        type: 'string',
+        default: null,
+        minLength: 16,
+        // The placeholder once shipped in .env.example is public knowledge
+        validate: value => value !== 'change-me-to-a-long-random-string' || 'must be replaced with your own random key'
+    },
+    API_KEYS: { path: 'auth.apiKeys', type: 'json', default: [], validate: value => Array.isArray(value) || 'must be a JSON array' },
+
+    // AI
+    AI_PROVIDERS: {
+        path: 'ai.providers',
+        type: 'json',
+        default: ['gemini'],
+        validate: value => (Array.isArray(value) && value.length > 0 && value.every(name => AI_PROVIDER_NAMES.includes(name))) ||
+            `must be a non-empty JSON array of provider names: ${AI_PROVIDER_NAMES.join(', ')}`
+    },
+    GEMINI_API_KEY: { path: 'ai.geminiApiKey', type: 'string', default: null },
+    GEMINI_MODEL: { path: 'ai.geminiModel', type: 'string', default: 'gemini-1.5-flash' },
+    OPENAI_BASE_URL: { path: 'ai.openaiBaseUrl', type: 'string', default: 'https://api.openai.com/v1' },
+    OPENAI_API_KEY: { path: 'ai.openaiApiKey', type: 'string', default: null },
+    OPENAI_MODEL: { path: 'ai.openaiModel', type: 'string', default: 'gpt-4o-mini' },
+    AI_STUB_RESPONSE: { path: 'ai.stubResponse', type: 'string', default: 'Stub reply from the AI' },
+    AI_TEMPERATURE: { path: 'ai.temperature', type: 'number', default: 0.7, min: 0, max: 2 },
+    AI_MAX_TOKENS: { path: 'ai.maxTokens', type: 'number', default: 512, integer: true, min: 1 },
+    DEFAULT_LANGUAGE: { path: 'ai.defaultLanguage', type: 'string', default: 'hinglish', enum: ['hinglish', 'hindi', 'english'] },
+    AI_TIMEOUT: { path: 'ai.timeout', type: 'number', default: 10000, integer: true, min: 1000 },
+    AI_MAX_RETRIES: { path: 'ai.maxRetries', type: 'number', default: 3, integer: true, min: 1, max: 10 },
+    MAX_CONVERSATION_HISTORY: { path: 'ai.maxConversationHistory', type: 'number', default: 6, integer: true, min: 0, max: 100 },
+
+    // Storage
+    MONGODB_URI: { path: 'storage.mongodbUri', type: 'string', default: null },
+    REDIS_URL: { path: 'storage.redisUrl', type: 'string', default: null },
+    MAX_MESSAGES_PER_CHAT: { path: 'storage.maxMessagesPerChat', type: 'number', default: 100, integer: true, min: 1 },
+    DATA_RETENTION_DAYS: { path: 'storage.dataRetentionDays', type: 'number', default: 7, integer: true, min: 1 },
+    RETENTION_ENABLED: { path: 'retention.enabled', type: 'boolean', default: true },
+
+    // WhatsApp
+    MAX_SESSIONS: { path: 'whatsapp.maxSessions', type: 'number', default: 10, integer: true, min: 1 },
+    MAX_SESSIONS_PER_TENANT: { path: 'whatsapp.maxSessionsPerTenant', type: 'number', default: 0, integer: true, min: 0 },
+    TENANT_SESSION_QUOTAS: {
+        path: 'whatsapp.tenantSessionQuotas',
+        type: 'json',
+        default: {},
+        validate: value => (value && typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(quota => Number.isInteger(quota) && quota >= 0)) || 'must be a JSON object of tenant => non-negative integer'
+    },
+    SESSION_TIMEOUT: { path: 'whatsapp.sessionTimeout', type: 'number', default: 3600000, integer: true, min: 60000 },
+    CLEANUP_INTERVAL: { path: 'whatsapp.cleanupInterval', type: 'number', default: 300000, integer: true, min: 10000 },
+    WHATSAPP_DRIVER: { path: 'whatsapp.driver', type: 'string', default: 'web' },
+    MOCK_WHATSAPP: { path: 'whatsapp.mock', type: 'boolean', default: false },
+    MOCK_WHATSAPP_AUTO_READY: { path: 'whatsapp.mockAutoReady', type: 'boolean', default: true },
+
+    // Rate limiting
+    RATE_LIMIT_MESSAGES_PER_MINUTE: { path: 'rateLimit.messagesPerMinute', type: 'number', default: 2, integer: true, min: 1 },
+    RATE_LIMIT_MESSAGES_PER_HOUR: { path: 'rateLimit.messagesPerHour', type: 'number', default: 20, integer: true, min: 1 },
+    RATE_LIMIT_BURST_LIMIT: { path: 'rateLimit.burstLimit', type: 'number', default: 3, integer: true, min: 0 },
+
+    // Webhooks
+    WEBHOOK_TIMEOUT: { path: 'webhooks.timeout', type: 'number', default: 10000, integer: true, min: 1000 },
+    WEBHOOK_MAX_ATTEMPTS: { path: 'webhooks.maxAttempts', type: 'number', default: 8, integer: true, min: 1, max: 20 },
+    WEBHOOK_RETRY_INTERVAL: { path: 'webhooks.retryInterval', type: 'number', default: 15000, integer: true, min: 1000 },
+    WEBHOOK_ALLOWED_HOSTS: {
+        path: 'webhooks.allowedHosts',
+        type: 'json',
+        default: [],
+        validate: value => (Array.isArray(value) && value.every(host => typeof host === 'string' && host)) || 'must be a JSON array of host names'
+    },
+
+    // Scheduled messages
+    SCHEDULE_DEFAULT_TIMEZONE: {
+        path: 'scheduler.defaultTimezone',
+        type: 'string',
+        default: 'UTC',
+        validate: value => {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+                return true;
+            } catch {
+                return 'must be an IANA time zone such as Asia/Kolkata';
+            }
+        }
+    },
+    SCHEDULE_MAX_PER_SESSION: { path: 'scheduler.maxPerSession', type: 'number', default: 100, integer: true, min: 1 },
+    SCHEDULE_MAX_HOLD: { path: 'scheduler.maxHold', type: 'number', default: 24 * 60 * 60 * 1000, integer: true, min: 60000, max: 7 * 24 * 60 * 60 * 1000 },
+
+    // Media
+    MEDIA_MAX_SIZE: { path: 'media.maxSize', type: 'number', default: 16 * 1024 * 1024, integer: true, min: 1 },
+    MEDIA_ALLOWED_TYPES: {
+        path: 'media.allowedTypes',
+        type: 'string',
+        default: 'image/*,video/*,audio/*,application/pdf,text/plain,text/csv,application/msword,application/vnd.ms-excel,' +
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document,' +
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    },
+    MEDIA_LOCAL_DIR: { path: 'media.localDir', type: 'string', default: null },
+    MEDIA_INCOMING_MAX_SIZE: { path: 'media.incomingMaxSize', type: 'number', default: 16 * 1024 * 1024, integer: true, min: 1 },
+    MEDIA_DOWNLOAD_TIMEOUT: { path: 'media.downloadTimeout', type: 'number', default: 60000, integer: true, min: 1000 },
+    MEDIA_RETENTION_DAYS: { path: 'media.retentionDays', type: 'number', default: 30, integer: true, min: 1 },
+    MEDIA_STORE_MAX_SIZE: { path: 'media.storeMaxSize', type: 'number', default: 1024 * 1024 * 1024, integer: true, min: 0 },
+
+    // Voice note transcription
+    TRANSCRIPTION_BACKEND: { path: 'transcription.backend', type: 'string', default: 'none' },
+    TRANSCRIPTION_COMMAND: { path: 'transcription.command', type: 'string', default: null },
+    TRANSCRIPTION_ARGS: {
+        path: 'transcription.args',
+        type: 'json',
+        default: ['{file}'],
+        validate: value => (Array.isArray(value) && value.every(arg => typeof arg === 'string')) || 'must be a JSON array of strings'
+    },
+    TRANSCRIPTION_TIMEOUT: { path: 'transcription.timeout', type: 'number', default: 60000, integer: true, min: 1000 },
+    TRANSCRIPTION_STUB_TEXT: { path: 'transcription.stubText', type: 'string', default: 'Stub transcript of a voice note' },
+
+    // Broadcast campaigns
+    CAMPAIGN_DEFAULT_RATE: { path: 'campaigns.defaultRate', type: 'number', default: 10, min: 0.1 },
+    CAMPAIGN_MAX_RATE: { path: 'campaigns.maxRate', type: 'number', default: 30, min: 0.1 },
+    CAMPAIGN_MAX_RECIPIENTS: { path: 'campaigns.maxRecipients', type: 'number', default: 5000, integer: true, min: 1 },
+    CAMPAIGN_MAX_ATTEMPTS: { path: 'campaigns.maxAttempts', type: 'number', default: 3, integer: true, min: 1, max: 20 },
+
+    // Group chats
+    GROUP_DEFAULT_REPLY_MODE: { path: 'groups.defaultReplyMode', type: 'string', default: 'mention', enum: ['mention', 'all', 'off'] },
+    GROUP_DEFAULT_RATE_LIMIT: { path: 'groups.defaultRateLimit', type: 'number', default: 5, integer: true, min: 0 },
+
+    // Knowledge base
+    KNOWLEDGE_CHUNK_SIZE: { path: 'knowledge.chunkSize', type: 'number', default: 800, integer: true, min: 100 },
+    KNOWLEDGE_MAX_DOCUMENT_SIZE: { path: 'knowledge.maxDocumentSize', type: 'number', default: 1024 * 1024, integer: true, min: 1 },
+    KNOWLEDGE_TOP_K: { path: 'knowledge.topK', type: 'number', default: 3, integer: true, min: 1, max: 10 },
+    KNOWLEDGE_MIN_SCORE: { path: 'knowledge.minScore', type: 'number', default: 1, min: 0 },
+
+    // Auto-reply rules
+    AUTO_REPLY_MAX_RULES: { path: 'autoReplies.maxRulesPerSession', type: 'number', default: 200, integer: true, min: 1 },
+    AUTO_REPLY_REGEX_TIMEOUT: { path: 'autoReplies.regexTimeout', type: 'number', default: 100, integer: true, min: 10 },
+
+    // Human takeover
+    HUMAN_TAKEOVER_ENABLED: { path: 'takeover.enabled', type: 'boolean', default: true },
+    HUMAN_TAKEOVER_TIMEOUT: { path: 'takeover.timeout', type: 'number', default: 30 * 60 * 1000, integer: true, min: 0 },
+
+    // Health & monitoring
+    HEALTH_CHECK_ENABLED: { path: 'monitoring.healthCheckEnabled', type: 'boolean', default: true },
+    HEALTH_CHECK_TIMEOUT: { path: 'monitoring.healthCheckTimeout', type: 'number', default: 5000, integer: true, min: 100 },
+    HEALTH_CHECK_AI: { path: 'monitoring.healthCheckAi', type: 'boolean', default: false },
+    HEALTH_CHECK_AI_CACHE_TTL: { path: 'monitoring.healthCheckAiCacheTtl', type: 'number', default: 300000, integer: true, min: 0 },
+    METRICS_ENABLED: { path: 'monitoring.metricsEnabled', type: 'boolean', default: true }
+};
+
+// Check the raw string before parseEnvVar, which silently falls back to defaults
+function validateRaw(key, raw, rule) {
+    switch (rule.type) {
+        case 'number':
+            if (!/^-?\d+(\.\d+)?$/.test(raw.trim())) {
+                return `${key} must be a number (got "${raw}")`;
+            }
+            break;
+        case 'boolean':
+            if (!['true', 'false'].includes(raw.trim().toLowerCase())) {
+                return `${key} must be true or false (got "${raw}")`;
+            }
+            break;
+        case 'json':
+            try {
+                JSON.parse(raw);
+            } catch {
+                return `${key} must be valid JSON`;
+            }
+            break;
+    }
+    return null;
+}
+
+function validateValue(key, value, rule) {
+    if (rule.type === 'number') {
+        if (rule.integer && !Number.isInteger(value)) return `${key} must be an integer (got ${value})`;
+        if (rule.min !== undefined && value < rule.min) return `${key} must be at least ${rule.min} (got ${value})`;
+        if (rule.max !== undefined && value > rule.max) return `${key} must be at most ${rule.max} (got ${value})`;
+    }
+    if (rule.type === 'string') {
+        if (rule.enum && !rule.enum.includes(value)) return `${key} must be one of ${rule.enum.join(', ')} (got "${value}")`;
+        if (rule.minLength && value.length < rule.minLength) return `${key} must be at least ${rule.minLength} characters`;
+    }
+    if (rule.validate) {
+        const result = rule.validate(value);
+        if (result !== true) return `${key} ${result}`;
+    }
+    return null;
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+        node = node[key] = node[key] || {};
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+function deepFreeze(obj) {
+    Object.values(obj).forEach(value => {
+        if (value && typeof value === 'object') deepFreeze(value);
+    });
+    return Object.freeze(obj);
+}
+
+/**
+ * Build and validate the configuration from process.env
+ * @returns {Object} - Frozen configuration object
+ * @throws {ConfigError} - When one or more values are invalid
+ */
+function loadConfig() {
+    const errors = [];
+    const config = {};
+
+    for (const [key, rule] of Object.entries(schema)) {
+        const raw = process.env[key];
+        const provided = raw !== undefined && raw !== '';
+
+        const rawError = provided ? validateRaw(key, raw, rule) : null;
+        if (rawError) {
+            errors.push(rawError);
+            continue;
+        }
+
+        const value = parseEnvVar(key, rule.default, rule.type);
+        if (provided && value !== null) {
+            const valueError = validateValue(key, value, rule);
+            if (valueError) {
+                errors.push(valueError);
+                continue;
+            }
+        }
+
+        setPath(config, rule.path, value);
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return deepFreeze(config);
+}
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (error instanceof ConfigError) {
+        // Fail fast: nothing can run safely with a broken configuration
+        logger.error(error.message);
+        process.exit(1);
+    }
+    throw error;
+}
+
+module.exports = {
+    config,
+    loadConfig,
+    ConfigError,
+    schema,
+    AI_PROVIDER_NAMES
+};
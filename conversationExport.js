@@ -0,0 +1,196 @@
+const { ApiError } = require('./utils');
+
+// Supported export formats and how they are served
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const MESSAGE_SOURCES = ['all', 'ai', 'human'];
+
+const CSV_COLUMNS = ['chatId', 'id', 'timestamp', 'direction', 'from', 'to', 'type', 'aiGenerated', 'body'];
+
+function parseDate(name, value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(`${name} must be a valid date`, 400, 'INVALID_EXPORT_FILTER');
+    }
+    return date;
+}
+
+/**
+ * Validate export filters coming from a request
+ * @param {Object} query - chatId (comma separated), from, to, source (all|ai|human), timezone
+ * @returns {Object} - Normalized filters
+ */
+function parseExportFilters(query = {}) {
+    const chatIds = query.chatId
+        ? String(query.chatId).split(',').map(chatId => chatId.trim()).filter(Boolean)
+        : [];
+
+    const from = parseDate('from', query.from);
+    const to = parseDate('to', query.to);
+    if (from && to && from > to) {
+        throw new ApiError('from must be before to', 400, 'INVALID_EXPORT_FILTER');
+    }
+
+    const source = query.source || 'all';
+    if (!MESSAGE_SOURCES.includes(source)) {
+        throw new ApiError(`source must be one of ${MESSAGE_SOURCES.join(', ')}`, 400, 'INVALID_EXPORT_FILTER');
+    }
+
+    const timeZone = query.timezone || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+    } catch {
+        throw new ApiError(`Unknown timezone: ${timeZone}`, 400, 'INVALID_EXPORT_FILTER');
+    }
+
+    return { chatIds, from, to, source, timeZone };
+}
+
+function matchesFilters(message, { from = null, to = null, source = 'all' } = {}) {
+    const timestamp = new Date(message.timestamp);
+    if (from && timestamp < from) return false;
+    if (to && timestamp > to) return false;
+    if (source === 'ai' && !message.aiGenerated) return false;
+    if (source === 'human' && message.aiGenerated) return false;
+    return true;
+}
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(chatId, message) {
+    return [
+        chatId,
+        message.id,
+        new Date(message.timestamp).toISOString(),
+        message.fromMe ? 'outgoing' : 'incoming',
+        message.from,
+        message.to,
+        message.type,
+        Boolean(message.aiGenerated),
+        message.body
+    ].map(csvCell).join(',');
+}
+
+function toCsv(conversations) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const { chatId, messages } of conversations) {
+        messages.forEach(message => rows.push(toCsvRow(chatId, message)));
+    }
+    return `${rows.join('\r\n')}\r\n`;
+}
+
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    return parts;
+}
+
+// Phone number shown for a WhatsApp ID, e.g. 918888888888@c.us => +918888888888
+function displayName(jid) {
+    const user = String(jid || '').split('@')[0];
+    return /^\d+$/.test(user) ? `+${user}` : user;
+}
+
+function messageText(message) {
+    if (message.body) return message.body;
+    return message.type && message.type !== 'chat' ? '<Media omitted>' : '';
+}
+
+function toHtml(sessionId, conversations, { timeZone = 'UTC' } = {}) {
+    const sections = conversations.map(({ chatId, messages }) => {
+        const items = messages.map(message => {
+            const { day, month, year, hour, minute } = formatParts(new Date(message.timestamp), timeZone);
+            const sender = message.fromMe ? (message.aiGenerated ? 'Bot (AI)' : 'You') : displayName(message.from);
+            return `      <li class="${message.fromMe ? 'outgoing' : 'incoming'}${message.aiGenerated ? ' ai' : ''}">` +
+                `<span class="meta">${escapeHtml(`${day}/${month}/${year} ${hour}:${minute}`)} &middot; ${escapeHtml(sender)}</span>` +
+                `<p>${escapeHtml(messageText(message)).replace(/\n/g, '<br>')}</p></li>`;
+        });
+        return [
+            `  <section>`,
+            `    <h2>${escapeHtml(displayName(chatId))}</h2>`,
+            `    <ul>`,
+            ...items,
+            `    </ul>`,
+            `  </section>`
+        ].join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Conversations - ${escapeHtml(sessionId)}</title>
+  <style>
+    body { font-family: sans-serif; background: #ece5dd; margin: 0 auto; max-width: 800px; padding: 1rem; }
+    ul { list-style: none; padding: 0; }
+    li { border-radius: 8px; margin: 0.4rem 0; max-width: 75%; padding: 0.4rem 0.6rem; }
+    li.incoming { background: #fff; }
+    li.outgoing { background: #dcf8c6; margin-left: auto; }
+    li.ai { border-left: 3px solid #34b7f1; }
+    .meta { color: #667781; font-size: 0.75rem; }
+    p { margin: 0.2rem 0 0; white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <h1>Conversations - ${escapeHtml(sessionId)}</h1>
+  <p class="meta">Exported ${escapeHtml(new Date().toISOString())} (times in ${escapeHtml(timeZone)})</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render one chat in the layout of WhatsApp's own "Export chat" (Android):
+ * "19/10/2026, 14:47 - +918888888888: message"
+ */
+function toWhatsAppText({ messages }, { timeZone = 'UTC', ownerName = 'You' } = {}) {
+    const lines = messages.map(message => {
+        const { day, month, year, hour, minute } = formatParts(new Date(message.timestamp), timeZone);
+        const sender = message.fromMe ? ownerName : displayName(message.from);
+        return `${day}/${month}/${year}, ${hour}:${minute} - ${sender}: ${messageText(message)}`;
+    });
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    MESSAGE_SOURCES,
+    parseExportFilters,
+    matchesFilters,
+    toCsv,
+    toHtml,
+    toWhatsAppText,
+    displayName
+};
@@ -0,0 +1,126 @@
+const path = require('path');
+const { config } = require('./config');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
+
+// When the bot answers in a group: only when mentioned or quoted, on every message, or never
+const REPLY_MODES = ['mention', 'all', 'off'];
+
+const MAX_PERSONA_LENGTH = 2000;
+
+/**
+ * Per-group behaviour for each session: whether the bot takes part, when it
+ * replies, an optional persona and a cap on how often it replies.
+ * Settings are stored in data/groups.json keyed by session and group ID.
+ */
+class GroupSettings {
+    constructor() {
+        this.settingsFile = path.join(__dirname, 'data', 'groups.json');
+        this.defaults = {
+            enabled: true,
+            replyMode: config.groups.defaultReplyMode,
+            persona: null,
+            rateLimitPerMinute: config.groups.defaultRateLimit
+        };
+
+        this.settings = new Map();
+        this.replies = new Map(); // key => timestamps of recent bot replies
+
+        this.ready = this.load();
+    }
+
+    key(sessionId, groupId) {
+        return `${sessionId}:${groupId}`;
+    }
+
+    async load() {
+        try {
+            const data = await readJson(this.settingsFile, {});
+            Object.entries(data).forEach(([key, value]) => this.settings.set(key, value));
+        } catch (error) {
+            logger.error('Error loading group settings:', error);
+        }
+    }
+
+    persist() {
+        return writeJson(this.settingsFile, Object.fromEntries(this.settings));
+    }
+
+    get(sessionId, groupId) {
+        const stored = this.settings.get(this.key(sessionId, groupId));
+        return { sessionId, groupId, ...this.defaults, ...stored, custom: Boolean(stored) };
+    }
+
+    list(sessionId) {
+        return Array.from(this.settings.values())
+            .filter(entry => entry.sessionId === sessionId)
+            .map(entry => this.get(sessionId, entry.groupId));
+    }
+
+    async update(sessionId, groupId, updates = {}) {
+        await this.ready;
+
+        if (!groupId.endsWith('@g.us')) {
+            throw new ApiError('groupId must be a group chat ID (…@g.us)', 400, 'INVALID_GROUP_SETTINGS');
+        }
+
+        const current = this.settings.get(this.key(sessionId, groupId)) || { sessionId, groupId };
+        const next = { ...current };
+
+        if (updates.enabled !== undefined) next.enabled = Boolean(updates.enabled);
+        if (updates.replyMode !== undefined) {
+            if (!REPLY_MODES.includes(updates.replyMode)) {
+                throw new ApiError(`replyMode must be one of ${REPLY_MODES.join(', ')}`, 400, 'INVALID_GROUP_SETTINGS');
+            }
+            next.replyMode = updates.replyMode;
+        }
+        if (updates.persona !== undefined) {
+            if (updates.persona !== null && (typeof updates.persona !== 'string' || updates.persona.length > MAX_PERSONA_LENGTH)) {
+                throw new ApiError(`persona must be a string of at most ${MAX_PERSONA_LENGTH} characters or null`, 400, 'INVALID_GROUP_SETTINGS');
+            }
+            next.persona = updates.persona ? updates.persona.trim() : null;
+        }
+        if (updates.rateLimitPerMinute !== undefined) {
+            const limit = Number(updates.rateLimitPerMinute);
+            if (!Number.isInteger(limit) || limit < 0) {
+                throw new ApiError('rateLimitPerMinute must be a non-negative integer (0 = no limit)', 400, 'INVALID_GROUP_SETTINGS');
+            }
+            next.rateLimitPerMinute = limit;
+        }
+
+        next.updatedAt = new Date().toISOString();
+        this.settings.set(this.key(sessionId, groupId), next);
+        await this.persist();
+        return this.get(sessionId, groupId);
+    }
+
+    async remove(sessionId, groupId) {
+        await this.ready;
+        this.settings.delete(this.key(sessionId, groupId));
+        this.replies.delete(this.key(sessionId, groupId));
+        await this.persist();
+        return this.get(sessionId, groupId);
+    }
+
+    /**
+     * Record a bot reply in the group if its per-minute cap allows one
+     * @returns {boolean} - false when the group is over its limit
+     */
+    consumeReply(sessionId, groupId) {
+        const { rateLimitPerMinute } = this.get(sessionId, groupId);
+        const key = this.key(sessionId, groupId);
+        const now = Date.now();
+        const recent = (this.replies.get(key) || []).filter(timestamp => now - timestamp < 60000);
+
+        if (rateLimitPerMinute > 0 && recent.length >= rateLimitPerMinute) {
+            this.replies.set(key, recent);
+            return false;
+        }
+
+        recent.push(now);
+        this.replies.set(key, recent);
+        return true;
+    }
+}
+
+module.exports = GroupSettings;
+module.exports.REPLY_MODES = REPLY_MODES;
@@ -0,0 +1,102 @@
+const { logger, withTimeout } = require('./utils');
+
+/**
+ * Runs component health checks with timeouts and folds them into one verdict.
+ * A failing critical component makes the service unhealthy; any other
+ * failure only degrades it.
+ */
+class HealthService {
+    constructor({ timeout = 5000 } = {}) {
+        this.timeout = timeout;
+        this.components = new Map();
+        this.cache = new Map();
+    }
+
+    /**
+     * Register a component check
+     * @param {string} name - Component name
+     * @param {Function} check - Returns (or resolves to) an object with a status field
+     * @param {Object} options - critical, optional (only run on request), cacheTtl in ms
+     */
+    register(name, check, { critical = false, optional = false, cacheTtl = 0 } = {}) {
+        this.components.set(name, { check, critical, optional, cacheTtl });
+    }
+
+    async runCheck(name, component) {
+        const cached = this.cache.get(name);
+        if (cached && Date.now() - cached.checkedAt < component.cacheTtl) {
+            return { ...cached.result, cached: true };
+        }
+
+        const startedAt = Date.now();
+        let result;
+
+        try {
+            const details = await withTimeout(
+                Promise.resolve().then(() => component.check()),
+                this.timeout,
+                `Health check timed out after ${this.timeout}ms`
+            );
+
+            result = {
+                status: ['healthy', 'degraded', 'unhealthy'].includes(details && details.status) ? details.status : 'healthy',
+                critical: component.critical,
+                latencyMs: Date.now() - startedAt,
+                ...(details && details.error && { error: details.error }),
+                details
+            };
+        } catch (error) {
+            logger.warn(`Health check ${name} failed: ${error.message}`);
+            result = {
+                status: 'unhealthy',
+                critical: component.critical,
+                latencyMs: Date.now() - startedAt,
+                error: error.message
+            };
+        }
+
+        if (component.cacheTtl > 0) {
+            this.cache.set(name, { result, checkedAt: Date.now() });
+        }
+
+        return result;
+    }
+
+    /**
+     * Run all checks in parallel
+     * @param {Object} options - include: names of optional checks to run; verbose: keep component details
+     * @returns {Object} - Overall status and per-component results
+     */
+    async check({ include = [], verbose = false } = {}) {
+        const selected = Array.from(this.components).filter(([name, component]) =>
+            !component.optional || include.includes(name)
+        );
+
+        const results = await Promise.all(selected.map(([name, component]) => this.runCheck(name, component)));
+
+        const components = {};
+        selected.forEach(([name], index) => {
+            const { details, ...summary } = results[index];
+            components[name] = verbose && details ? { ...summary, details } : summary;
+        });
+
+        return {
+            status: this.overallStatus(results),
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            components
+        };
+    }
+
+    overallStatus(results) {
+        if (results.some(result => result.critical && result.status === 'unhealthy')) {
+            return 'unhealthy';
+        }
+        if (results.some(result => result.status !== 'healthy')) {
+            return 'degraded';
+        }
+        return 'healthy';
+    }
+}
+
+module.exports = HealthService;
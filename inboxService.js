@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const path = require('path');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
+
+const INBOX_STATUSES = ['open', 'closed'];
+
+const MAX_NOTE_LENGTH = 5000;
+
+/**
+ * Shared operator inbox on top of the conversations in SessionStore. Adds
+ * per-chat status (open/closed), the agent a chat is assigned to and internal
+ * notes that are never sent. Only chats that were touched are stored, in
+ * data/inbox.json; every other conversation is open and unassigned.
+ */
+class InboxService {
+    constructor(whatsappManager) {
+        this.manager = whatsappManager;
+        this.inboxFile = path.join(__dirname, 'data', 'inbox.json');
+
+        this.chats = new Map(); // "sessionId:chatId" => { status, assignee, notes, ... }
+
+        this.ready = this.load();
+    }
+
+    key(sessionId, chatId) {
+        return `${sessionId}:${chatId}`;
+    }
+
+    async load() {
+        try {
+            const data = await readJson(this.inboxFile, {});
+            Object.entries(data).forEach(([key, value]) => this.chats.set(key, value));
+        } catch (error) {
+            logger.error('Error loading inbox:', error);
+        }
+    }
+
+    persist() {
+        return writeJson(this.inboxFile, Object.fromEntries(this.chats));
+    }
+
+    entry(sessionId, chatId) {
+        return this.chats.get(this.key(sessionId, chatId)) || {
+            sessionId,
+            chatId,
+            status: 'open',
+            assignee: null,
+            assignedAt: null,
+            assignedBy: null,
+            notes: []
+        };
+    }
+
+    // Inbox fields of a chat without its notes
+    summary(sessionId, chatId) {
+        const { notes, ...rest } = this.entry(sessionId, chatId);
+        return { ...rest, noteCount: notes.length, botState: this.manager.chatStates.get(sessionId, chatId) };
+    }
+
+    /**
+     * Conversations of a session with their inbox state, most recently active first
+     * @param {Object} filters - status: open|closed|all; assignee: agent ID or 'unassigned'
+     */
+    async listChats(sessionId, { status = 'open', assignee = null } = {}) {
+        await this.ready;
+
+        if (status !== 'all' && !INBOX_STATUSES.includes(status)) {
+            throw new ApiError(`status must be one of ${INBOX_STATUSES.join(', ')} or all`, 400, 'INVALID_INBOX_FILTER');
+        }
+
+        const conversations = await this.manager.sessionStore.getSessionConversations(sessionId);
+        return conversations
+            .map(conversation => ({ ...conversation, ...this.summary(sessionId, conversation.chatId) }))
+            .filter(chat => status === 'all' || chat.status === status)
+            .filter(chat => !assignee || (assignee === 'unassigned' ? !chat.assignee : chat.assignee === assignee));
+    }
+
+    /**
+     * Normalise a chat ID the way sends do (bare numbers are contacts) and make
+     * sure the session has a conversation with it
+     * @returns {Promise<string>} - The normalised chat ID
+     */
+    async resolveChatId(sessionId, chatId) {
+        const normalized = chatId.includes('@') ? chatId : `${chatId}@c.us`;
+        if (!(await this.manager.sessionStore.conversationExists(sessionId, normalized))) {
+            throw new ApiError(`Conversation ${normalized} not found`, 404, 'CONVERSATION_NOT_FOUND');
+        }
+        return normalized;
+    }
+
+    async getChat(sessionId, rawChatId, { limit = 50 } = {}) {
+        await this.ready;
+
+        const chatId = await this.resolveChatId(sessionId, rawChatId);
+        const { messages } = await this.manager.sessionStore.getConversationHistory(sessionId, chatId, limit);
+        return { ...this.summary(sessionId, chatId), notes: this.entry(sessionId, chatId).notes, messages };
+    }
+
+    /**
+     * Assign, unassign, close or reopen a chat
+     * @param {Object} updates - assignee (agent ID or null), status
+     * @param {Object} agent - Principal making the change
+     */
+    async updateChat(sessionId, rawChatId, updates = {}, agent) {
+        await this.ready;
+
+        const chatId = await this.resolveChatId(sessionId, rawChatId);
+
+        const next = { ...this.entry(sessionId, chatId) };
+        const now = new Date().toISOString();
+
+        if (updates.status !== undefined) {
+            if (!INBOX_STATUSES.includes(updates.status)) {
+                throw new ApiError(`status must be one of ${INBOX_STATUSES.join(', ')}`, 400, 'INVALID_INBOX_UPDATE');
+            }
+            next.status = updates.status;
+            next.statusChangedAt = now;
+        }
+        if (updates.assignee !== undefined) {
+            next.assignee = updates.assignee || null;
+            next.assignedAt = next.assignee ? now : null;
+            next.assignedBy = next.assignee ? agent.id : null;
+        }
+
+        next.updatedAt = now;
+        this.chats.set(this.key(sessionId, chatId), next);
+        await this.persist();
+
+        logger.info(`Inbox chat ${chatId} on ${sessionId} updated by ${agent.id}`);
+        return this.announce(sessionId, chatId);
+    }
+
+    async addNote(sessionId, rawChatId, text, agent) {
+        await this.ready;
+
+        const chatId = await this.resolveChatId(sessionId, rawChatId);
+
+        if (typeof text !== 'string' || !text.trim() || text.length > MAX_NOTE_LENGTH) {
+            throw new ApiError(`Note text must be 1 to ${MAX_NOTE_LENGTH} characters`, 400, 'INVALID_NOTE');
+        }
+
+        const note = {
+            id: crypto.randomUUID(),
+            text: text.trim(),
+            agentId: agent.id,
+            agentName: agent.name,
+            createdAt: new Date().toISOString()
+        };
+
+        const next = { ...this.entry(sessionId, chatId) };
+        next.notes = [...next.notes, note];
+        next.updatedAt = note.createdAt;
+        this.chats.set(this.key(sessionId, chatId), next);
+        await this.persist();
+
+        this.announce(sessionId, chatId);
+        return note;
+    }
+
+    // Notes can be removed by their author or by an admin
+    async removeNote(sessionId, rawChatId, noteId, agent, { isAdmin = false } = {}) {
+        await this.ready;
+
+        const chatId = await this.resolveChatId(sessionId, rawChatId);
+
+        const current = this.entry(sessionId, chatId);
+        const note = current.notes.find(item => item.id === noteId);
+        if (!note) {
+            throw new ApiError('Note not found', 404, 'NOTE_NOT_FOUND');
+        }
+        if (note.agentId !== agent.id && !isAdmin) {
+            throw new ApiError('Only the author of a note can delete it', 403, 'FORBIDDEN');
+        }
+
+        this.chats.set(this.key(sessionId, chatId), {
+            ...current,
+            notes: current.notes.filter(item => item.id !== noteId),
+            updatedAt: new Date().toISOString()
+        });
+        await this.persist();
+
+        this.announce(sessionId, chatId);
+        return note;
+    }
+
+    /**
+     * Called for every message stored in history: pushes it to operators and
+     * reopens a closed chat when the contact writes again
+     */
+    async handleMessage(sessionId, chatId, record) {
+        await this.ready;
+
+        this.manager.io.to(`session_${sessionId}`).emit('inbox_message', {
+            clientId: sessionId,
+            chatId,
+            message: record
+        });
+
+        const current = this.chats.get(this.key(sessionId, chatId));
+        if (current && current.status === 'closed' && !record.fromMe) {
+            const now = new Date().toISOString();
+            this.chats.set(this.key(sessionId, chatId), { ...current, status: 'open', statusChangedAt: now, updatedAt: now });
+            await this.persist();
+            this.announce(sessionId, chatId);
+        }
+    }
+
+    announce(sessionId, chatId) {
+        const chat = this.summary(sessionId, chatId);
+        this.manager.io.to(`session_${sessionId}`).emit('inbox_updated', {
+            clientId: sessionId,
+            ...chat,
+            timestamp: new Date().toISOString()
+        });
+        return chat;
+    }
+}
+
+module.exports = InboxService;
+module.exports.INBOX_STATUSES = INBOX_STATUSES;
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const path = require('path');
+const { config } = require('./config');
+const { logger, ApiError, parseCsv, readJson, writeJson } = require('./utils');
+
+const DOCUMENT_FORMATS = ['markdown', 'csv', 'text'];
+
+const EXTENSION_FORMATS = { '.md': 'markdown', '.markdown': 'markdown', '.csv': 'csv', '.txt': 'text' };
+const MIMETYPE_FORMATS = { 'text/markdown': 'markdown', 'text/x-markdown': 'markdown', 'text/csv': 'csv', 'text/plain': 'text' };
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Common English and Hinglish words that carry no meaning for retrieval
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'have', 'how', 'i',
+    'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'there', 'this', 'to',
+    'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+    'aap', 'aur', 'bhi', 'hai', 'hain', 'ho', 'ka', 'kar', 'ke', 'ki', 'ko', 'kya', 'mai', 'main', 'mein', 'ne', 'se',
+    'tha', 'toh', 'tum', 'ye', 'yeh', 'wo', 'woh', 'hi'
+]);
+
+/**
+ * Split text into search terms: lowercase words of any script (with their
+ * combining marks), without stopwords and with a simple English plural strip
+ */
+function tokenize(text) {
+    return (String(text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+        .map(token => (/^[a-z]{4,}$/.test(token) && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Break text into pieces of at most chunkSize characters, on paragraph and then sentence boundaries
+function splitText(text, chunkSize) {
+    const pieces = [];
+    const pushLong = paragraph => {
+        let current = '';
+        for (const sentence of paragraph.split(/(?<=[.!?।])\s+/)) {
+            if (current && current.length + sentence.length + 1 > chunkSize) {
+                pieces.push(current);
+                current = '';
+            }
+            current = current ? `${current} ${sentence}` : sentence;
+            while (current.length > chunkSize) {
+                pieces.push(current.slice(0, chunkSize));
+                current = current.slice(chunkSize);
+            }
+        }
+        if (current) pieces.push(current);
+    };
+
+    let current = '';
+    for (const paragraph of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+        if (current && current.length + paragraph.length + 2 > chunkSize) {
+            pieces.push(current);
+            current = '';
+        }
+        if (paragraph.length > chunkSize) {
+            pushLong(paragraph);
+        } else {
+            current = current ? `${current}\n\n${paragraph}` : paragraph;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+// Markdown is chunked per section; each chunk keeps the heading path it sits under
+function chunkMarkdown(text, chunkSize) {
+    const chunks = [];
+    const headings = [];
+    let lines = [];
+
+    const flush = () => {
+        const heading = headings.filter(Boolean).join(' > ') || null;
+        splitText(lines.join('\n'), chunkSize).forEach(piece => chunks.push({ heading, text: piece }));
+        lines = [];
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+        if (match) {
+            flush();
+            headings.length = match[1].length;
+            headings[match[1].length - 1] = match[2];
+        } else {
+            lines.push(line);
+        }
+    }
+    flush();
+    return chunks;
+}
+
+// One chunk per CSV row (e.g. a question/answer pair), written as "column: value" lines
+function chunkCsv(text, chunkSize) {
+    return parseCsv(text).flatMap(row => {
+        const body = Object.entries(row)
+            .filter(([, value]) => value)
+            .map(([column, value]) => `${column}: ${value}`)
+            .join('\n');
+        return body ? splitText(body, chunkSize).map(piece => ({ heading: null, text: piece })) : [];
+    });
+}
+
+function detectFormat({ format, filename, mimetype }) {
+    if (format) {
+        if (!DOCUMENT_FORMATS.includes(format)) {
+            throw new ApiError(`format must be one of ${DOCUMENT_FORMATS.join(', ')}`, 400, 'INVALID_DOCUMENT');
+        }
+        return format;
+    }
+    const extension = filename ? path.extname(filename).toLowerCase() : '';
+    const type = mimetype ? String(mimetype).split(';')[0].trim().toLowerCase() : '';
+    return EXTENSION_FORMATS[extension] || MIMETYPE_FORMATS[type] || 'text';
+}
+
+/**
+ * Per-session knowledge base: uploaded FAQ documents are split into chunks
+ * and ranked with BM25 in process, so answers can be grounded in the
+ * business's own prices and policies without an external search service.
+ * Each session's documents and chunks are stored in data/knowledge/<session>.json.
+ */
+class KnowledgeBase {
+    constructor() {
+        this.dataDir = path.join(__dirname, 'data', 'knowledge');
+        this.chunkSize = config.knowledge.chunkSize;
+        this.maxDocumentSize = config.knowledge.maxDocumentSize;
+        this.topK = config.knowledge.topK;
+        this.minScore = config.knowledge.minScore;
+
+        this.sessions = new Map(); // sessionId => { documents, chunks, index }
+    }
+
+    sessionFile(sessionId) {
+        return path.join(this.dataDir, `${sessionId.replace(/[^a-zA-Z0-9@.-]/g, '_')}.json`);
+    }
+
+    async loadSession(sessionId) {
+        if (this.sessions.has(sessionId)) return this.sessions.get(sessionId);
+
+        let data = { documents: [], chunks: [] };
+        try {
+            data = await readJson(this.sessionFile(sessionId), data);
+        } catch (error) {
+            logger.error(`Error loading knowledge base for ${sessionId}:`, error);
+        }
+
+        const state = { documents: data.documents || [], chunks: data.chunks || [], index: null };
+        state.index = this.buildIndex(state.chunks);
+        this.sessions.set(sessionId, state);
+        return state;
+    }
+
+    persist(sessionId, state) {
+        return writeJson(this.sessionFile(sessionId), { documents: state.documents, chunks: state.chunks });
+    }
+
+    buildIndex(chunks) {
+        const documentFrequency = new Map();
+        const entries = chunks.map(chunk => {
+            const terms = tokenize(`${chunk.heading || ''} ${chunk.text}`);
+            const frequencies = new Map();
+            terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+            frequencies.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+            return { chunk, frequencies, length: terms.length };
+        });
+
+        const totalLength = entries.reduce((sum, entry) => sum + entry.length, 0);
+        return {
+            entries,
+            documentFrequency,
+            averageLength: entries.length > 0 ? totalLength / entries.length : 0
+        };
+    }
+
+    /**
+     * Add a document and index it
+     * @param {Object} document - { title, filename, format, mimetype, content }
+     * @returns {Object} - Document metadata
+     */
+    async addDocument(sessionId, { title = null, filename = null, format = null, mimetype = null, content } = {}) {
+        if (typeof content !== 'string' || !content.trim()) {
+            throw new ApiError('Document content is required', 400, 'INVALID_DOCUMENT');
+        }
+        const size = Buffer.byteLength(content);
+        if (size > this.maxDocumentSize) {
+            throw new ApiError(`Document exceeds the ${this.maxDocumentSize} byte limit`, 413, 'DOCUMENT_TOO_LARGE', {
+                size,
+                maxSize: this.maxDocumentSize
+            });
+        }
+
+        const documentFormat = detectFormat({ format, filename, mimetype });
+        const pieces = documentFormat === 'markdown'
+            ? chunkMarkdown(content, this.chunkSize)
+            : documentFormat === 'csv'
+                ? chunkCsv(content, this.chunkSize)
+                : splitText(content, this.chunkSize).map(piece => ({ heading: null, text: piece }));
+
+        if (pieces.length === 0) {
+            throw new ApiError('Document has no text to index', 400, 'INVALID_DOCUMENT');
+        }
+
+        const document = {
+            id: crypto.randomUUID(),
+            sessionId,
+            title: String(title || filename || 'Untitled document').slice(0, 200),
+            filename: filename ? path.basename(String(filename)) : null,
+            format: documentFormat,
+            size,
+            chunkCount: pieces.length,
+            createdAt: new Date().toISOString()
+        };
+        const chunks = pieces.map((piece, index) => ({ id: `${document.id}:${index}`, documentId: document.id, ...piece }));
+
+        const state = await this.loadSession(sessionId);
+        state.documents.push(document);
+        state.chunks.push(...chunks);
+        state.index = this.buildIndex(state.chunks);
+        await this.persist(sessionId, state);
+
+        logger.info(`Knowledge document ${document.id} (${document.title}) added to ${sessionId}: ${chunks.length} chunks`);
+        return document;
+    }
+
+    async listDocuments(sessionId) {
+        const state = await this.loadSession(sessionId);
+        return state.documents.slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async getDocument(sessionId, documentId) {
+        const state = await this.loadSession(sessionId);
+        const document = state.documents.find(item => item.id === documentId);
+        if (!document) {
+            throw new ApiError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+        }
+        return { ...document, chunks: state.chunks.filter(chunk => chunk.documentId === documentId) };
+    }
+
+    async deleteDocument(sessionId, documentId) {
+        const document = await this.getDocument(sessionId, documentId);
+        const state = await this.loadSession(sessionId);
+
+        state.documents = state.documents.filter(item => item.id !== documentId);
+        state.chunks = state.chunks.filter(chunk => chunk.documentId !== documentId);
+        state.index = this.buildIndex(state.chunks);
+        await this.persist(sessionId, state);
+
+        const { chunks, ...metadata } = document;
+        return metadata;
+    }
+
+    async hasDocuments(sessionId) {
+        return (await this.loadSession(sessionId)).documents.length > 0;
+    }
+
+    /**
+     * Rank the session's chunks against a query with BM25
+     * @param {Object} options - limit (default KNOWLEDGE_TOP_K), minScore (default KNOWLEDGE_MIN_SCORE)
+     * @returns {Array} - [{ documentId, title, chunkId, heading, text, score }], best first
+     */
+    async search(sessionId, query, { limit = this.topK, minScore = this.minScore } = {}) {
+        const state = await this.loadSession(sessionId);
+        const { entries, documentFrequency, averageLength } = state.index;
+        const terms = Array.from(new Set(tokenize(query)));
+        if (entries.length === 0 || terms.length === 0) return [];
+
+        const titles = new Map(state.documents.map(document => [document.id, document.title]));
+
+        return entries
+            .map(({ chunk, frequencies, length }) => {
+                let score = 0;
+                for (const term of terms) {
+                    const frequency = frequencies.get(term);
+                    if (!frequency) continue;
+                    const containing = documentFrequency.get(term);
+                    const idf = Math.log(1 + (entries.length - containing + 0.5) / (containing + 0.5));
+                    score += idf * (frequency * (BM25_K1 + 1)) /
+                        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / (averageLength || 1)));
+                }
+                return { chunk, score };
+            })
+            .filter(result => result.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ chunk, score }) => ({
+                documentId: chunk.documentId,
+                title: titles.get(chunk.documentId),
+                chunkId: chunk.id,
+                heading: chunk.heading,
+                text: chunk.text,
+                score: Math.round(score * 1000) / 1000
+            }));
+    }
+
+    /**
+     * Passages to ground a reply in
+     * @returns {Object|null} - { passages } (possibly empty), or null when the session has no documents
+     */
+    async retrieve(sessionId, query) {
+        if (!(await this.hasDocuments(sessionId))) return null;
+        return { passages: await this.search(sessionId, query) };
+    }
+}
+
+module.exports = KnowledgeBase;
+module.exports.DOCUMENT_FORMATS = DOCUMENT_FORMATS;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,120 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { config } = require('./config');
+const { logger } = require('./utils');
+
+/**
+ * Google Gemini through @google/generative-ai
+ */
+class GeminiProvider {
+    constructor({ apiKey, model }) {
+        this.name = 'gemini';
+        this.model = model;
+        this.client = new GoogleGenerativeAI(apiKey);
+    }
+
+    async generate(prompt, { model = this.model, temperature, maxTokens }) {
+        const generativeModel = this.client.getGenerativeModel({
+            model,
+            generationConfig: { temperature, maxOutputTokens: maxTokens }
+        });
+        const result = await generativeModel.generateContent(prompt);
+        return result.response.text();
+    }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+ * local model behind Ollama, llama.cpp, vLLM and the like. The API key is
+ * optional because local servers usually do not ask for one.
+ */
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, model, timeout }) {
+        this.name = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeout = timeout;
+    }
+
+    async generate(prompt, { model = this.model, temperature, maxTokens }) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+            },
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature,
+                max_tokens: maxTokens
+            }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const detail = (await response.text().catch(() => '')).slice(0, 200);
+            throw new Error(`${this.baseUrl} responded with HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+        }
+
+        const data = await response.json();
+        const choice = data.choices && data.choices[0];
+        return (choice && choice.message && choice.message.content) || '';
+    }
+}
+
+// Fixed reply for development and tests; never calls a model
+class StubProvider {
+    constructor({ text }) {
+        this.name = 'stub';
+        this.model = 'stub';
+        this.text = text;
+    }
+
+    async generate() {
+        return this.text;
+    }
+}
+
+// Provider factories, one per name in AI_PROVIDER_NAMES: () => provider exposing
+// name, model and generate(prompt, { model, temperature, maxTokens })
+const providers = new Map();
+
+providers.set('gemini', () => new GeminiProvider({
+    apiKey: config.ai.geminiApiKey,
+    model: config.ai.geminiModel
+}));
+
+providers.set('openai', () => new OpenAICompatibleProvider({
+    baseUrl: config.ai.openaiBaseUrl,
+    apiKey: config.ai.openaiApiKey,
+    model: config.ai.openaiModel,
+    timeout: config.ai.timeout
+}));
+
+providers.set('stub', () => new StubProvider({ text: config.ai.stubResponse }));
+
+/**
+ * Create the configured providers in failover order
+ * @param {string[]} names - Provider names, first one is tried first
+ * @returns {Object[]} - Providers
+ */
+function createProviders(names = config.ai.providers) {
+    const list = names.map(name => {
+        const factory = providers.get(name);
+        if (!factory) {
+            throw new Error(`Unknown AI provider: ${name}`);
+        }
+        return factory();
+    });
+
+    logger.info(`AI providers in failover order: ${list.map(provider => `${provider.name} (${provider.model})`).join(', ')}`);
+    return list;
+}
+
+module.exports = {
+    createProviders,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    StubProvider
+};
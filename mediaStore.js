@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const mime = require('mime-types');
+const { config } = require('./config');
+const { logger, ApiError } = require('./utils');
+
+// WhatsApp message type for a mimetype
+function mediaType(mimetype) {
+    if (mimetype.startsWith('image/')) return 'image';
+    if (mimetype.startsWith('video/')) return 'video';
+    if (mimetype.startsWith('audio/')) return 'audio';
+    return 'document';
+}
+
+function sanitizeFilename(filename) {
+    const name = path.basename(String(filename || '')).replace(/[\x00-\x1f\x7f"\\/]/g, '').trim();
+    return name.slice(0, 200) || null;
+}
+
+/**
+ * Content-addressed media files under data/media. A file is stored once per
+ * SHA-256 digest at data/media/<first two hex chars>/<digest>, with a JSON
+ * sidecar holding its mimetype, size and the filenames it was seen under.
+ */
+class MediaStore {
+    constructor() {
+        this.mediaDir = path.join(__dirname, 'data', 'media');
+        this.maxSize = config.media.maxSize;
+        this.allowedTypes = config.media.allowedTypes.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+        this.localDir = config.media.localDir ? path.resolve(config.media.localDir) : null;
+        this.incomingMaxSize = config.media.incomingMaxSize;
+    }
+
+    isAllowedType(mimetype) {
+        return this.allowedTypes.some(pattern => pattern.endsWith('/*')
+            ? mimetype.startsWith(pattern.slice(0, -1))
+            : mimetype === pattern);
+    }
+
+    /**
+     * Check a file before it is stored or sent
+     * @returns {Object} - { mimetype, filename } normalized
+     * @throws {ApiError} - 400 for bad names or types, 413 when too large
+     */
+    validate(buffer, { mimetype = null, filename = null } = {}) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new ApiError('Media file is empty', 400, 'INVALID_MEDIA');
+        }
+        if (buffer.length > this.maxSize) {
+            throw new ApiError(`Media exceeds the ${this.maxSize} byte limit`, 413, 'MEDIA_TOO_LARGE', {
+                size: buffer.length,
+                maxSize: this.maxSize
+            });
+        }
+
+        const name = sanitizeFilename(filename);
+        const fromName = name ? mime.lookup(name) : false;
+        const type = String(mimetype || fromName || '').split(';')[0].trim().toLowerCase();
+
+        if (!type) {
+            throw new ApiError('mimetype is required when the filename has no known extension', 400, 'INVALID_MEDIA');
+        }
+        if (!this.isAllowedType(type)) {
+            throw new ApiError(`Media type ${type} is not allowed`, 400, 'MEDIA_TYPE_NOT_ALLOWED', { allowed: this.allowedTypes });
+        }
+        // A filename extension that contradicts the declared type is most likely a mislabelled file
+        if (fromName && mimetype && fromName !== type && mime.extension(type) !== mime.extension(fromName)) {
+            throw new ApiError(`Filename ${name} does not match mimetype ${type}`, 400, 'MEDIA_TYPE_MISMATCH');
+        }
+
+        const extension = mime.extension(type);
+        return {
+            mimetype: type,
+            filename: name || `${mediaType(type)}${extension ? `.${extension}` : ''}`
+        };
+    }
+
+    /**
+     * Turn an API media payload into a buffer
+     * @param {Object} input - { data: base64 or data: URL, mimetype, filename } or { path } inside MEDIA_LOCAL_DIR
+     * @returns {Object} - { buffer, mimetype, filename }
+     */
+    async readInput(input = {}) {
+        if (input.path) {
+            if (!this.localDir) {
+                throw new ApiError('Local file references are disabled (set MEDIA_LOCAL_DIR)', 400, 'LOCAL_MEDIA_DISABLED');
+            }
+
+            const filePath = path.resolve(this.localDir, String(input.path));
+            if (!filePath.startsWith(`${this.localDir}${path.sep}`)) {
+                throw new ApiError('path must point inside MEDIA_LOCAL_DIR', 400, 'INVALID_MEDIA');
+            }
+
+            try {
+                const stats = await fs.stat(filePath);
+                if (stats.size > this.maxSize) {
+                    throw new ApiError(`Media exceeds the ${this.maxSize} byte limit`, 413, 'MEDIA_TOO_LARGE', {
+                        size: stats.size,
+                        maxSize: this.maxSize
+                    });
+                }
+                return {
+                    buffer: await fs.readFile(filePath),
+                    mimetype: input.mimetype || null,
+                    filename: input.filename || path.basename(filePath)
+                };
+            } catch (error) {
+                if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+                    throw new ApiError(`Media file not found: ${input.path}`, 404, 'MEDIA_NOT_FOUND');
+                }
+                throw error;
+            }
+        }
+
+        if (typeof input.data === 'string' && input.data.length > 0) {
+            let data = input.data;
+            let mimetype = input.mimetype || null;
+
+            const dataUrl = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(data);
+            if (dataUrl) {
+                mimetype = mimetype || dataUrl[1] || null;
+                data = dataUrl[2];
+            }
+            if (!/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(data)) {
+                throw new ApiError('media.data must be base64 encoded', 400, 'INVALID_MEDIA');
+            }
+
+            return { buffer: Buffer.from(data, 'base64'), mimetype, filename: input.filename || null };
+        }
+
+        throw new ApiError('media must include base64 data or a local path', 400, 'INVALID_MEDIA');
+    }
+
+    filePath(digest) {
+        return path.join(this.mediaDir, digest.slice(0, 2), digest);
+    }
+
+    /**
+     * Store a file (once per content) and return the reference kept in history
+     * @param {Buffer} buffer - File contents
+     * @param {Object} file - { mimetype, filename }
+     * @param {Object} options - sessionId the file belongs to; only those sessions may download it
+     * @returns {Object} - { id, mimetype, filename, size }
+     */
+    async save(buffer, { mimetype, filename }, { sessionId = null } = {}) {
+        const digest = crypto.createHash('sha256').update(buffer).digest('hex');
+        const filePath = this.filePath(digest);
+        const metaPath = `${filePath}.json`;
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        let meta;
+        try {
+            meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            await fs.writeFile(filePath, buffer);
+            meta = { id: digest, mimetype, size: buffer.length, filenames: [], sessions: [], createdAt: new Date().toISOString() };
+        }
+
+        if (!meta.filenames.includes(filename)) meta.filenames.push(filename);
+        if (sessionId && !meta.sessions.includes(sessionId)) meta.sessions.push(sessionId);
+        meta.lastUsedAt = new Date().toISOString();
+        await fs.writeFile(metaPath, JSON.stringify(meta, null, 2));
+
+        logger.debug(`Media ${digest} stored (${buffer.length} bytes, ${mimetype})`);
+        return { id: digest, mimetype, filename, size: buffer.length };
+    }
+
+    /**
+     * Store an attachment downloaded from WhatsApp
+     * @param {Object} media - MessageMedia ({ mimetype, data: base64, filename, filesize })
+     * @param {Object} options - sessionId that received it
+     * @returns {Object} - Stored reference, or { skipped, mimetype, size } when it is over the size cap
+     */
+    async ingest(media, { sessionId }) {
+        const mimetype = String(media.mimetype || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+        // base64 is 4 chars per 3 bytes, so the size is known before decoding
+        const size = media.filesize || Math.floor(media.data.length * 3 / 4);
+
+        if (size > this.incomingMaxSize) {
+            logger.warn(`Incoming media for ${sessionId} skipped: ${size} bytes exceeds ${this.incomingMaxSize}`);
+            return { skipped: 'too_large', mimetype, size };
+        }
+
+        const buffer = Buffer.from(media.data, 'base64');
+        const extension = mime.extension(mimetype);
+        const filename = sanitizeFilename(media.filename) || `${mediaType(mimetype)}${extension ? `.${extension}` : ''}`;
+
+        return this.save(buffer, { mimetype, filename }, { sessionId });
+    }
+
+    async readMeta(mediaId) {
+        if (!/^[a-f0-9]{64}$/.test(mediaId)) return null;
+        try {
+            return JSON.parse(await fs.readFile(`${this.filePath(mediaId)}.json`, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Look up a stored file for download
+     * @returns {Object} - { meta, path }
+     * @throws {ApiError} - 404 when missing, expired or not referenced by the session
+     */
+    async getFile(sessionId, mediaId) {
+        const meta = await this.readMeta(mediaId);
+        if (!meta || !(meta.sessions || []).includes(sessionId)) {
+            throw new ApiError('Media not found', 404, 'MEDIA_NOT_FOUND');
+        }
+        return { meta, path: this.filePath(mediaId) };
+    }
+
+    async listAll() {
+        const entries = [];
+        let dirs = [];
+        try {
+            dirs = await fs.readdir(this.mediaDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return entries;
+            throw error;
+        }
+
+        for (const dir of dirs) {
+            let files = [];
+            try {
+                files = await fs.readdir(path.join(this.mediaDir, dir));
+            } catch {
+                continue;
+            }
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                const meta = await this.readMeta(file.slice(0, -5));
+                if (meta) entries.push(meta);
+            }
+        }
+        return entries;
+    }
+
+    async remove(mediaId) {
+        const filePath = this.filePath(mediaId);
+        await fs.rm(filePath, { force: true });
+        await fs.rm(`${filePath}.json`, { force: true });
+    }
+
+    /**
+     * Delete files unused for longer than the retention period, then the least
+     * recently used ones until the store fits its size cap
+     * @param {Object} options - retentionDays, maxTotalSize (0 = no cap), dryRun, keep (IDs never deleted)
+     * @returns {Object} - { deletedFiles, freedBytes, remainingBytes }
+     */
+    async cleanup({ retentionDays, maxTotalSize = 0, dryRun = false, keep = [] }) {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const entries = (await this.listAll())
+            .sort((a, b) => new Date(a.lastUsedAt || a.createdAt) - new Date(b.lastUsedAt || b.createdAt));
+
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const deleted = [];
+
+        for (const entry of entries) {
+            if (keep.includes(entry.id)) continue;
+
+            const lastUsed = new Date(entry.lastUsedAt || entry.createdAt).getTime();
+            const expired = lastUsed < cutoff;
+            const overCap = maxTotalSize > 0 && totalBytes > maxTotalSize;
+            if (!expired && !overCap) continue;
+
+            if (!dryRun) {
+                await this.remove(entry.id);
+            }
+            deleted.push(entry.id);
+            totalBytes -= entry.size;
+        }
+
+        const freedBytes = entries.filter(entry => deleted.includes(entry.id)).reduce((sum, entry) => sum + entry.size, 0);
+        return { retentionDays, maxTotalSize, deletedFiles: deleted, freedBytes, remainingBytes: totalBytes };
+    }
+}
+
+module.exports = MediaStore;
+module.exports.mediaType = mediaType;
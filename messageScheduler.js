@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const path = require('path');
+const cron = require('node-cron');
+const { config } = require('./config');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+const SCHEDULE_STATUSES = ['active', 'paused', 'completed', 'failed', 'cancelled'];
+
+/**
+ * One-off and cron-recurring outbound messages, persisted to
+ * data/schedules.json and re-armed on startup.
+ */
+class MessageScheduler {
+    constructor(whatsappManager) {
+        this.manager = whatsappManager;
+        this.dataDir = path.join(__dirname, 'data');
+        this.schedulesFile = path.join(this.dataDir, 'schedules.json');
+
+        this.defaultTimezone = config.scheduler.defaultTimezone;
+        this.maxPerSession = config.scheduler.maxPerSession;
+        this.maxHold = config.scheduler.maxHold;
+
+        this.schedules = new Map();
+        this.jobs = new Map();
+
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const schedules = await readJson(this.schedulesFile, []);
+            schedules.forEach(schedule => this.schedules.set(schedule.id, schedule));
+
+            // Re-arm everything still active; one-offs missed while down fire right away,
+            // or wait for their session to reconnect (see fire)
+            for (const schedule of this.schedules.values()) {
+                if (schedule.status === 'active') this.arm(schedule);
+            }
+            logger.info(`Scheduled messages loaded: ${this.schedules.size} schedules, ${this.jobs.size} armed`);
+        } catch (error) {
+            logger.error('Error loading scheduled messages:', error);
+        }
+    }
+
+    persist() {
+        return writeJson(this.schedulesFile, Array.from(this.schedules.values()));
+    }
+
+    validateTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch {
+            throw new ApiError(`Unknown timezone: ${timezone}`, 400, 'INVALID_SCHEDULE');
+        }
+    }
+
+    /**
+     * Schedule a message
+     * @param {string} sessionId - Session that sends the message
+     * @param {Object} options - to, message, and either sendAt (ISO date) or cron (expression); timezone for cron
+     * @returns {Object} - Created schedule
+     */
+    async createSchedule(sessionId, { to, message, sendAt = null, cron: expression = null, timezone = null, description = '' } = {}) {
+        await this.ready;
+
+        if (!to || !message) {
+            throw new ApiError('to and message are required', 400, 'INVALID_SCHEDULE');
+        }
+        if (Boolean(sendAt) === Boolean(expression)) {
+            throw new ApiError('Provide exactly one of sendAt or cron', 400, 'INVALID_SCHEDULE');
+        }
+
+        const zone = timezone || this.defaultTimezone;
+        this.validateTimezone(zone);
+
+        let runAt = null;
+        if (sendAt) {
+            runAt = new Date(sendAt);
+            if (Number.isNaN(runAt.getTime())) {
+                throw new ApiError('sendAt must be a valid date', 400, 'INVALID_SCHEDULE');
+            }
+            if (runAt.getTime() <= Date.now()) {
+                throw new ApiError('sendAt must be in the future', 400, 'INVALID_SCHEDULE');
+            }
+        } else if (!cron.validate(expression)) {
+            throw new ApiError(`Invalid cron expression: ${expression}`, 400, 'INVALID_SCHEDULE');
+        }
+
+        const active = Array.from(this.schedules.values()).filter(schedule =>
+            schedule.sessionId === sessionId && ['active', 'paused'].includes(schedule.status)
+        );
+        if (active.length >= this.maxPerSession) {
+            throw new ApiError(`Session already has ${active.length} scheduled messages`, 429, 'SCHEDULE_LIMIT_EXCEEDED', {
+                limit: this.maxPerSession
+            });
+        }
+
+        const schedule = {
+            id: crypto.randomUUID(),
+            sessionId,
+            to: String(to),
+            message: String(message),
+            type: runAt ? 'once' : 'cron',
+            sendAt: runAt ? runAt.toISOString() : null,
+            cron: expression,
+            timezone: zone,
+            description,
+            status: 'active',
+            runCount: 0,
+            failureCount: 0,
+            lastRunAt: null,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.schedules.set(schedule.id, schedule);
+        this.arm(schedule);
+        await this.persist();
+
+        logger.info(`Scheduled ${schedule.type} message ${schedule.id} for ${sessionId} -> ${schedule.to}`);
+        return schedule;
+    }
+
+    arm(schedule) {
+        this.disarm(schedule.id);
+
+        if (schedule.type === 'cron') {
+            const task = cron.schedule(schedule.cron, () => {
+                this.fire(schedule.id).catch(error => {
+                    logger.error(`Error running scheduled message ${schedule.id}:`, error);
+                });
+            }, { timezone: schedule.timezone });
+            this.jobs.set(schedule.id, { stop: () => task.stop() });
+            return;
+        }
+
+        const wait = Math.max(new Date(schedule.sendAt).getTime() - Date.now(), 0);
+        const timer = setTimeout(() => {
+            if (wait > MAX_TIMER_DELAY) {
+                this.arm(schedule);
+                return;
+            }
+            this.fire(schedule.id).catch(error => {
+                logger.error(`Error running scheduled message ${schedule.id}:`, error);
+            });
+        }, Math.min(wait, MAX_TIMER_DELAY));
+        timer.unref();
+        this.jobs.set(schedule.id, { stop: () => clearTimeout(timer) });
+    }
+
+    disarm(scheduleId) {
+        const job = this.jobs.get(scheduleId);
+        if (job) {
+            job.stop();
+            this.jobs.delete(scheduleId);
+        }
+    }
+
+    async fire(scheduleId) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule || schedule.status !== 'active') return;
+
+        // A one-off due while its session is down (e.g. still restoring after a restart)
+        // is held and sent once the session connects; past maxHold it fails
+        const connected = this.manager.isSessionConnected(schedule.sessionId);
+        if (schedule.type === 'once' && !connected) {
+            const holdExpiresAt = new Date(schedule.sendAt).getTime() + this.maxHold;
+            if (Date.now() < holdExpiresAt) {
+                await this.hold(schedule, holdExpiresAt);
+                return;
+            }
+        }
+        schedule.waitingForSession = false;
+
+        schedule.lastRunAt = new Date().toISOString();
+        schedule.runCount++;
+
+        try {
+            if (schedule.type === 'once' && !connected) {
+                throw new Error(`Session ${schedule.sessionId} did not connect within ${Math.round(this.maxHold / 60000)} minutes of the send time`);
+            }
+            const result = await this.manager.sendMessage(schedule.sessionId, schedule.to, schedule.message);
+            schedule.lastError = null;
+            if (schedule.type === 'once') {
+                schedule.status = 'completed';
+                this.disarm(schedule.id);
+            }
+
+            this.manager.io.to(`session_${schedule.sessionId}`).emit('scheduled_message_sent', {
+                clientId: schedule.sessionId,
+                scheduleId: schedule.id,
+                to: result.to,
+                type: schedule.type,
+                runCount: schedule.runCount,
+                timestamp: schedule.lastRunAt
+            });
+            logger.info(`Scheduled message ${schedule.id} sent for ${schedule.sessionId}`);
+
+        } catch (error) {
+            schedule.failureCount++;
+            schedule.lastError = error.message;
+            // A recurring schedule stays active and tries again at its next run
+            if (schedule.type === 'once') {
+                schedule.status = 'failed';
+                this.disarm(schedule.id);
+            }
+
+            this.manager.io.to(`session_${schedule.sessionId}`).emit('scheduled_message_failed', {
+                clientId: schedule.sessionId,
+                scheduleId: schedule.id,
+                to: schedule.to,
+                type: schedule.type,
+                error: error.message,
+                timestamp: schedule.lastRunAt
+            });
+            logger.warn(`Scheduled message ${schedule.id} failed for ${schedule.sessionId}: ${error.message}`);
+        }
+
+        await this.persist();
+    }
+
+    // Wait for the session to connect, and check again once the hold runs out
+    async hold(schedule, holdExpiresAt) {
+        this.disarm(schedule.id);
+        const timer = setTimeout(() => {
+            this.fire(schedule.id).catch(error => {
+                logger.error(`Error running scheduled message ${schedule.id}:`, error);
+            });
+        }, Math.min(holdExpiresAt - Date.now(), MAX_TIMER_DELAY));
+        timer.unref();
+        this.jobs.set(schedule.id, { stop: () => clearTimeout(timer) });
+
+        if (!schedule.waitingForSession) {
+            schedule.waitingForSession = true;
+            logger.info(`Scheduled message ${schedule.id} is due; waiting for ${schedule.sessionId} to connect`);
+            await this.persist();
+        }
+    }
+
+    // Send the one-offs that came due while the session was not connected
+    async handleSessionConnected(sessionId) {
+        await this.ready;
+
+        const held = Array.from(this.schedules.values()).filter(schedule =>
+            schedule.sessionId === sessionId && schedule.status === 'active' && schedule.waitingForSession
+        );
+        for (const schedule of held) {
+            await this.fire(schedule.id).catch(error => {
+                logger.error(`Error running scheduled message ${schedule.id}:`, error);
+            });
+        }
+    }
+
+    getSchedule(sessionId, scheduleId) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule || schedule.sessionId !== sessionId) {
+            throw new ApiError('Scheduled message not found', 404, 'SCHEDULE_NOT_FOUND');
+        }
+        return schedule;
+    }
+
+    listSchedules(sessionId, { status = null } = {}) {
+        if (status && !SCHEDULE_STATUSES.includes(status)) {
+            throw new ApiError(`status must be one of ${SCHEDULE_STATUSES.join(', ')}`, 400, 'INVALID_SCHEDULE');
+        }
+
+        return Array.from(this.schedules.values())
+            .filter(schedule => schedule.sessionId === sessionId && (!status || schedule.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async pauseSchedule(sessionId, scheduleId) {
+        await this.ready;
+        const schedule = this.getSchedule(sessionId, scheduleId);
+        if (schedule.status !== 'active') {
+            throw new ApiError(`Only active schedules can be paused (status: ${schedule.status})`, 409, 'SCHEDULE_NOT_ACTIVE');
+        }
+
+        this.disarm(schedule.id);
+        schedule.status = 'paused';
+        schedule.pausedAt = new Date().toISOString();
+        await this.persist();
+        return schedule;
+    }
+
+    async resumeSchedule(sessionId, scheduleId) {
+        await this.ready;
+        const schedule = this.getSchedule(sessionId, scheduleId);
+        if (schedule.status !== 'paused') {
+            throw new ApiError(`Only paused schedules can be resumed (status: ${schedule.status})`, 409, 'SCHEDULE_NOT_PAUSED');
+        }
+
+        schedule.status = 'active';
+        schedule.pausedAt = null;
+        this.arm(schedule);
+        await this.persist();
+        return schedule;
+    }
+
+    async cancelSchedule(sessionId, scheduleId) {
+        await this.ready;
+        const schedule = this.getSchedule(sessionId, scheduleId);
+        if (!['active', 'paused'].includes(schedule.status)) {
+            throw new ApiError(`Schedule already ${schedule.status}`, 409, 'SCHEDULE_FINISHED');
+        }
+
+        this.disarm(schedule.id);
+        schedule.status = 'cancelled';
+        schedule.cancelledAt = new Date().toISOString();
+        await this.persist();
+        return schedule;
+    }
+
+    stopAll() {
+        for (const scheduleId of Array.from(this.jobs.keys())) {
+            this.disarm(scheduleId);
+        }
+    }
+
+    getStats() {
+        const byStatus = {};
+        for (const schedule of this.schedules.values()) {
+            byStatus[schedule.status] = (byStatus[schedule.status] || 0) + 1;
+        }
+        return { total: this.schedules.size, armed: this.jobs.size, byStatus };
+    }
+}
+
+module.exports = MessageScheduler;
+module.exports.SCHEDULE_STATUSES = SCHEDULE_STATUSES;
@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MessageScheduler = require('./messageScheduler');
+
+describe('MessageScheduler holding one-offs for their session', () => {
+    let scheduler;
+    let manager;
+    let tempDir;
+    let connected;
+    let sent;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scheduler-'));
+        connected = false;
+        sent = [];
+        manager = {
+            isSessionConnected: () => connected,
+            sendMessage: async (sessionId, to, message) => {
+                sent.push(message);
+                return { to };
+            },
+            io: { to: () => ({ emit: () => {} }) }
+        };
+
+        scheduler = new MessageScheduler(manager);
+        await scheduler.ready;
+        scheduler.stopAll();
+        scheduler.schedules.clear();
+        scheduler.schedulesFile = path.join(tempDir, 'schedules.json');
+        scheduler.maxHold = 60000;
+
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    afterEach(async () => {
+        scheduler.stopAll();
+        jest.useRealTimers();
+        // Queued behind any save a timer started, so the directory is quiet before removal
+        await scheduler.persist();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const scheduleIn = (ms, message = 'Reminder') => scheduler.createSchedule('c1', {
+        to: '911111',
+        message,
+        sendAt: new Date(Date.now() + ms).toISOString()
+    });
+
+    test('holds a due message while the session is down and sends it once it connects', async () => {
+        const schedule = await scheduleIn(1000);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(schedule.status).toBe('active');
+        expect(schedule.waitingForSession).toBe(true);
+        expect(sent).toEqual([]);
+
+        connected = true;
+        await scheduler.handleSessionConnected('c1');
+
+        expect(sent).toEqual(['Reminder']);
+        expect(schedule.status).toBe('completed');
+        expect(schedule.waitingForSession).toBe(false);
+
+        const saved = JSON.parse(await fs.readFile(scheduler.schedulesFile, 'utf8'));
+        expect(saved[0]).toMatchObject({ id: schedule.id, status: 'completed' });
+    });
+
+    test('fails a held message when the session stays down past the hold', async () => {
+        const schedule = await scheduleIn(1000);
+
+        await jest.advanceTimersByTimeAsync(1000 + 60000);
+
+        expect(sent).toEqual([]);
+        expect(schedule.status).toBe('failed');
+        expect(schedule.lastError).toMatch(/did not connect/);
+    });
+
+    test('only sends held messages of the session that connected', async () => {
+        const schedule = await scheduleIn(1000);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        connected = true;
+        await scheduler.handleSessionConnected('c2');
+
+        expect(sent).toEqual([]);
+        expect(schedule.waitingForSession).toBe(true);
+    });
+});
@@ -0,0 +1,175 @@
+// Minimal Prometheus text-format (v0.0.4) metrics registry
+
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function formatLabels(labelNames, values, extra = null) {
+    const pairs = labelNames
+        .map((name, index) => [name, values[index]])
+        .filter(([, value]) => value !== '');
+    if (extra) pairs.push(extra);
+    if (pairs.length === 0) return '';
+
+    const escaped = pairs.map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+    );
+    return `{${escaped.join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    // For collectors mirroring a cumulative total kept elsewhere
+    set(labels = {}, value) {
+        this.values.set(labelKey(this.labelNames, labels), value);
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    render() {
+        return Array.from(this.values, ([key, value]) =>
+            `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatValue(value)}`
+        );
+    }
+}
+
+class Gauge extends Counter {
+    constructor(name, help, labelNames = []) {
+        super(name, help, labelNames);
+        this.type = 'gauge';
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.labelNames = labelNames;
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.values = new Map();
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that observes the elapsed seconds when called
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    render() {
+        const lines = [];
+        for (const [key, series] of this.values) {
+            const values = JSON.parse(key);
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, ['le', formatValue(bound)])} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, ['le', '+Inf'])} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            return this.metrics.get(metric.name);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // Collectors run before every scrape to refresh gauges from live state
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    async render() {
+        for (const collector of this.collectors) {
+            await collector();
+        }
+
+        const output = [];
+        for (const metric of this.metrics.values()) {
+            output.push(`# HELP ${metric.name} ${metric.help}`);
+            output.push(`# TYPE ${metric.name} ${metric.type}`);
+            output.push(...metric.render());
+        }
+        return `${output.join('\n')}\n`;
+    }
+}
+
+// Shared registry for the whole process
+const registry = new MetricsRegistry();
+
+module.exports = registry;
+module.exports.MetricsRegistry = MetricsRegistry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,243 @@
+const EventEmitter = require('events');
+const { logger } = require('./utils');
+
+// Message acknowledgement levels, mirroring whatsapp-web.js MessageAck
+const ACK = {
+    ERROR: -1,
+    PENDING: 0,
+    SERVER: 1,
+    DEVICE: 2,
+    READ: 3
+};
+
+/**
+ * In-process stand-in for whatsapp-web.js Client.
+ * Emits the same events (qr, ready, message_create, message_ack, disconnected)
+ * and records every outgoing sendMessage call, so the whole pipeline can run
+ * without Chromium, a phone or network access.
+ */
+class MockWhatsAppClient extends EventEmitter {
+    constructor({ clientId, phoneNumber = null, autoReady = true, readyDelay = 500, ackDelay = 100 } = {}) {
+        super();
+        this.clientId = clientId;
+        this.phoneNumber = phoneNumber || `91000${String(hashCode(clientId || 'mock')).padStart(7, '0').slice(0, 7)}`;
+        this.autoReady = autoReady;
+        this.readyDelay = readyDelay;
+        this.ackDelay = ackDelay;
+
+        this.info = null;
+        this.state = 'STOPPED';
+        this.sentMessages = [];
+        this.messageCounter = 0;
+        this.timers = new Set();
+    }
+
+    async initialize() {
+        this.state = 'OPENING';
+        this.emit('loading_screen', 100, 'Mock WhatsApp');
+
+        // Emit a QR on the next tick, like the real client does once the page loads
+        this.schedule(() => {
+            this.emit('qr', `mock-qr:${this.clientId}:${Date.now()}`);
+
+            if (this.autoReady) {
+                this.schedule(() => this.simulateScan(), this.readyDelay);
+            }
+        }, 0);
+    }
+
+    // Pretend the QR code was scanned on a phone
+    simulateScan() {
+        if (this.state === 'CONNECTED') return;
+
+        this.state = 'CONNECTED';
+        this.info = {
+            wid: { _serialized: `${this.phoneNumber}@c.us`, user: this.phoneNumber },
+            pushname: `Mock ${this.clientId}`,
+            platform: 'mock'
+        };
+
+        this.emit('authenticated', { mock: true });
+        this.emit('ready');
+    }
+
+    simulateAuthFailure(message = 'Mock authentication failure') {
+        this.state = 'UNPAIRED';
+        this.emit('auth_failure', message);
+    }
+
+    simulateDisconnect(reason = 'NAVIGATION') {
+        this.state = 'DISCONNECTED';
+        this.emit('disconnected', reason);
+    }
+
+    // Deliver an inbound message as if a contact had sent it (extra.author marks the participant in a group)
+    simulateIncomingMessage(from, body, extra = {}) {
+        const chatId = from.includes('@') ? from : `${from}@c.us`;
+        const message = this.buildMessage({
+            from: chatId,
+            to: this.ownId(),
+            body,
+            fromMe: false,
+            ...extra
+        });
+
+        this.emit('message_create', message);
+        this.emit('message', message);
+        return message;
+    }
+
+    // The owner types a reply on the phone; it is not one of this client's sendMessage calls
+    simulateManualReply(to, body) {
+        const chatId = to.includes('@') ? to : `${to}@c.us`;
+        const message = this.buildMessage({ from: this.ownId(), to: chatId, body, fromMe: true });
+
+        this.emit('message_create', message);
+        return message;
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        if (this.state !== 'CONNECTED') {
+            throw new Error(`Mock client ${this.clientId} is not connected`);
+        }
+
+        const message = this.buildMessage({
+            from: this.ownId(),
+            to: chatId,
+            body: typeof content === 'string' ? content : (options.caption || ''),
+            type: typeof content === 'string' ? 'chat' : (content && content.mimetype ? mediaType(content.mimetype) : 'chat'),
+            fromMe: true,
+            hasMedia: typeof content !== 'string'
+        });
+
+        this.sentMessages.push({ chatId, content, options, message, sentAt: new Date() });
+        logger.debug(`Mock client ${this.clientId} sent message to ${chatId}`);
+
+        this.emit('message_create', message);
+
+        // Walk the message through server, device and read receipts
+        [ACK.SERVER, ACK.DEVICE, ACK.READ].forEach((ack, index) => {
+            this.schedule(() => {
+                message.ack = ack;
+                this.emit('message_ack', message, ack);
+            }, this.ackDelay * (index + 1));
+        });
+
+        return message;
+    }
+
+    async getState() {
+        return this.state;
+    }
+
+    async getChatById(chatId) {
+        return this.buildChat(chatId);
+    }
+
+    async logout() {
+        this.state = 'UNPAIRED';
+        this.emit('disconnected', 'LOGOUT');
+    }
+
+    async destroy() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.state = 'STOPPED';
+        this.removeAllListeners();
+    }
+
+    // Recorded outgoing messages, optionally for one chat
+    getSentMessages(chatId = null) {
+        return chatId ? this.sentMessages.filter(sent => sent.chatId === chatId) : this.sentMessages.slice();
+    }
+
+    clearSentMessages() {
+        this.sentMessages = [];
+    }
+
+    ownId() {
+        return `${this.phoneNumber}@c.us`;
+    }
+
+    buildMessage({ from, to, body = '', type = 'chat', fromMe = false, hasMedia = false, ...extra }) {
+        const chatId = fromMe ? to : from;
+        const serialized = `${fromMe}_${chatId}_MOCK${Date.now()}${++this.messageCounter}`;
+
+        return {
+            id: { _serialized: serialized, fromMe, remote: chatId, id: serialized.split('_').pop() },
+            from,
+            to,
+            body,
+            type,
+            fromMe,
+            hasMedia,
+            ack: ACK.PENDING,
+            timestamp: Math.floor(Date.now() / 1000),
+            mentionedIds: [],
+            hasQuotedMsg: Boolean(extra.quotedMessage),
+            ...extra,
+            getChat: async () => this.buildChat(chatId),
+            // In groups the sender is the participant in author, not the group itself
+            getContact: async () => this.buildContact(fromMe ? this.ownId() : (extra.author || from)),
+            getQuotedMessage: async () => extra.quotedMessage || null,
+            reply: async (content, options) => this.sendMessage(chatId, content, options),
+            downloadMedia: async () => extra.media || null
+        };
+    }
+
+    buildChat(chatId) {
+        return {
+            id: { _serialized: chatId, user: chatId.split('@')[0] },
+            name: chatId.split('@')[0],
+            isGroup: chatId.endsWith('@g.us'),
+            sendStateTyping: async () => {},
+            sendStateRecording: async () => {},
+            clearState: async () => {},
+            sendMessage: async (content, options) => this.sendMessage(chatId, content, options)
+        };
+    }
+
+    buildContact(contactId) {
+        const number = contactId.split('@')[0];
+        return {
+            id: { _serialized: contactId, user: number },
+            number,
+            name: null,
+            pushname: `Contact ${number.slice(-4)}`,
+            isMe: contactId === this.ownId()
+        };
+    }
+
+    schedule(fn, ms) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            try {
+                fn();
+            } catch (error) {
+                logger.error(`Mock client ${this.clientId} event error:`, error);
+            }
+        }, ms);
+        this.timers.add(timer);
+        return timer;
+    }
+}
+
+function mediaType(mimetype) {
+    if (mimetype.startsWith('image/')) return 'image';
+    if (mimetype.startsWith('video/')) return 'video';
+    if (mimetype.startsWith('audio/')) return 'audio';
+    return 'document';
+}
+
+function hashCode(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+}
+
+module.exports = MockWhatsAppClient;
+module.exports.ACK = ACK;
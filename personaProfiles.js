@@ -0,0 +1,220 @@
+const path = require('path');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
+
+// 'auto' answers in the language the contact writes in
+const PERSONA_LANGUAGES = ['auto', 'hinglish', 'hindi', 'english'];
+const EMOJI_POLICIES = ['none', 'light', 'normal'];
+
+// The voice the bot has when a session has no profile of its own
+const DEFAULT_PROFILE = Object.freeze({
+    botName: null,
+    tone: 'friendly and helpful',
+    businessDescription: null,
+    forbiddenTopics: Object.freeze([]),
+    language: 'auto',
+    maxReplyWords: 100,
+    maxReplyChars: 300,
+    emojiPolicy: 'light',
+    guidelines: Object.freeze([]),
+    systemPrompt: null,
+    // Generation settings; null uses the server defaults
+    models: Object.freeze({}), // provider name => model, e.g. { openai: 'gpt-4o' }
+    temperature: null,
+    maxTokens: null
+});
+
+const MAX_VERSIONS = 50;
+
+const TEXT_LIMITS = {
+    botName: 100,
+    tone: 200,
+    businessDescription: 5000,
+    systemPrompt: 10000
+};
+const LIST_LIMITS = {
+    forbiddenTopics: { items: 50, length: 200 },
+    guidelines: { items: 30, length: 500 }
+};
+const NUMBER_LIMITS = {
+    maxReplyWords: { min: 10, max: 1000, integer: true },
+    maxReplyChars: { min: 50, max: 4096, integer: true },
+    temperature: { min: 0, max: 2, integer: false },
+    maxTokens: { min: 1, max: 32768, integer: true }
+};
+const MAX_MODELS = 10;
+
+/**
+ * Per-session persona profiles: bot name, tone, business description,
+ * forbidden topics, reply length and emoji policy used to build the AI
+ * prompt, plus the model, temperature and token cap it is sent with. Every
+ * change is stored as a new version so a previous profile can be restored;
+ * the latest version is the active one. Profiles are stored in
+ * data/personas.json and read on every reply, so edits apply immediately.
+ */
+class PersonaProfiles {
+    constructor() {
+        this.personaFile = path.join(__dirname, 'data', 'personas.json');
+
+        this.sessions = new Map(); // sessionId => { versions: [{ version, profile, note, createdAt, createdBy }] }
+
+        this.ready = this.load();
+    }
+
+    async load() {
+        try {
+            const data = await readJson(this.personaFile, {});
+            Object.entries(data).forEach(([sessionId, value]) => this.sessions.set(sessionId, value));
+        } catch (error) {
+            logger.error('Error loading persona profiles:', error);
+        }
+    }
+
+    persist() {
+        return writeJson(this.personaFile, Object.fromEntries(this.sessions));
+    }
+
+    latest(sessionId) {
+        const stored = this.sessions.get(sessionId);
+        return stored && stored.versions.length > 0 ? stored.versions[stored.versions.length - 1] : null;
+    }
+
+    /**
+     * The active profile with defaults filled in, as used to build the prompt.
+     * Sessions without a profile of their own get DEFAULT_PROFILE itself.
+     */
+    getProfile(sessionId) {
+        const latest = this.latest(sessionId);
+        if (!latest || Object.keys(latest.profile).length === 0) return DEFAULT_PROFILE;
+        return { ...DEFAULT_PROFILE, ...latest.profile };
+    }
+
+    get(sessionId) {
+        const latest = this.latest(sessionId);
+        const profile = this.getProfile(sessionId);
+        return {
+            sessionId,
+            version: latest ? latest.version : 0,
+            profile,
+            custom: profile !== DEFAULT_PROFILE,
+            note: latest ? latest.note : null,
+            updatedAt: latest ? latest.createdAt : null,
+            updatedBy: latest ? latest.createdBy : null
+        };
+    }
+
+    listVersions(sessionId) {
+        const stored = this.sessions.get(sessionId);
+        return stored ? [...stored.versions].reverse() : [];
+    }
+
+    /**
+     * Change fields of the active profile and store the result as a new version
+     * @param {Object} updates - Profile fields; null resets a field to its default
+     * @param {Object} options - by: who made the change; note: what changed
+     */
+    async update(sessionId, updates = {}, { by = null, note = null } = {}) {
+        await this.ready;
+
+        const latest = this.latest(sessionId);
+        const profile = { ...(latest && latest.profile) };
+
+        const unknown = Object.keys(updates).filter(field => !(field in DEFAULT_PROFILE));
+        if (unknown.length > 0) {
+            throw new ApiError(`Unknown persona fields: ${unknown.join(', ')}`, 400, 'INVALID_PERSONA', {
+                fields: Object.keys(DEFAULT_PROFILE)
+            });
+        }
+
+        Object.entries(updates).forEach(([field, value]) => {
+            if (value === null) {
+                delete profile[field];
+            } else {
+                profile[field] = this.validateField(field, value);
+            }
+        });
+
+        return this.addVersion(sessionId, profile, { by, note });
+    }
+
+    // Bring back an earlier profile; the restore itself becomes the newest version
+    async restore(sessionId, version, { by = null } = {}) {
+        await this.ready;
+
+        const target = this.listVersions(sessionId).find(entry => entry.version === Number(version));
+        if (!target) {
+            throw new ApiError(`Persona version ${version} not found`, 404, 'PERSONA_VERSION_NOT_FOUND');
+        }
+
+        return this.addVersion(sessionId, { ...target.profile }, { by, note: `Restored version ${target.version}` });
+    }
+
+    async reset(sessionId, { by = null } = {}) {
+        await this.ready;
+        return this.addVersion(sessionId, {}, { by, note: 'Reset to defaults' });
+    }
+
+    async addVersion(sessionId, profile, { by, note }) {
+        const stored = this.sessions.get(sessionId) || { versions: [] };
+        const latest = this.latest(sessionId);
+
+        const versions = [...stored.versions, {
+            version: latest ? latest.version + 1 : 1,
+            profile,
+            note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : null,
+            createdAt: new Date().toISOString(),
+            createdBy: by
+        }];
+        this.sessions.set(sessionId, { versions: versions.slice(-MAX_VERSIONS) });
+        await this.persist();
+
+        logger.info(`Persona for ${sessionId} is now version ${versions[versions.length - 1].version}`);
+        return this.get(sessionId);
+    }
+
+    validateField(field, value) {
+        if (field in TEXT_LIMITS) {
+            if (typeof value !== 'string' || !value.trim() || value.length > TEXT_LIMITS[field]) {
+                throw new ApiError(`${field} must be a string of 1 to ${TEXT_LIMITS[field]} characters or null`, 400, 'INVALID_PERSONA');
+            }
+            return value.trim();
+        }
+
+        if (field in LIST_LIMITS) {
+            const { items, length } = LIST_LIMITS[field];
+            if (!Array.isArray(value) || value.length > items ||
+                value.some(item => typeof item !== 'string' || !item.trim() || item.length > length)) {
+                throw new ApiError(`${field} must be a list of at most ${items} strings of 1 to ${length} characters`, 400, 'INVALID_PERSONA');
+            }
+            return value.map(item => item.trim());
+        }
+
+        if (field in NUMBER_LIMITS) {
+            const { min, max, integer } = NUMBER_LIMITS[field];
+            const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+                throw new ApiError(`${field} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`, 400, 'INVALID_PERSONA');
+            }
+            return number;
+        }
+
+        if (field === 'models') {
+            const entries = value && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : null;
+            if (!entries || entries.length > MAX_MODELS ||
+                entries.some(([, model]) => typeof model !== 'string' || !model.trim() || model.length > 200)) {
+                throw new ApiError(`models must map at most ${MAX_MODELS} provider names to model names`, 400, 'INVALID_PERSONA');
+            }
+            return Object.fromEntries(entries.map(([provider, model]) => [provider, model.trim()]));
+        }
+
+        const allowed = field === 'language' ? PERSONA_LANGUAGES : EMOJI_POLICIES;
+        if (!allowed.includes(value)) {
+            throw new ApiError(`${field} must be one of ${allowed.join(', ')}`, 400, 'INVALID_PERSONA');
+        }
+        return value;
+    }
+}
+
+module.exports = PersonaProfiles;
+module.exports.DEFAULT_PROFILE = DEFAULT_PROFILE;
+module.exports.PERSONA_LANGUAGES = PERSONA_LANGUAGES;
+module.exports.EMOJI_POLICIES = EMOJI_POLICIES;
@@ -1,22 +1,31 @@
-const { logger } = require('./utils');
+const path = require('path');
+const { config } = require('./config');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
 
 class RateLimiter {
     constructor() {
         // Rate limiting configuration
-        this.limits = {
-            messagesPerMinute: 2,
-            messagesPerHour: 20,
-            burstLimit: 3 // Allow burst of 3 messages initially
-        };
+        // Configured defaults; burstLimit allows a few messages up front for new users
+        this.defaultLimits = { ...config.rateLimit };
+        this.limits = { ...this.defaultLimits };
+
+        // Limit changes made at runtime are persisted and win over the configured defaults
+        this.stateFile = path.join(__dirname, 'data', 'rate_limits.json');
+        this.emergencyMode = false;
+        this.limitsBeforeEmergency = null;
+        this.ready = this.loadPersistedState();
         
         // Token buckets for each user
         this.userBuckets = new Map();
+
+        // Lifetime decision counts; unlike bucket stats these survive bucket cleanup
+        this.decisions = { allowed: 0, blocked: 0 };
         
         // Message queues for rate-limited users
         this.messageQueues = new Map();
         
         // Cleanup intervals
-        this.cleanupInterval = 5 * 60 * 1000; // 5 minutes
+        this.cleanupInterval = config.whatsapp.cleanupInterval;
         this.bucketTimeout = 60 * 60 * 1000; // 1 hour
         
         // Start cleanup process
@@ -107,6 +116,7 @@ class RateLimiter {
         // Check burst tokens first (for new users)
         if (bucket.burstTokens > 0) {
             bucket.burstTokens--;
+            this.decisions.allowed++;
             logger.debug(`Burst token consumed for ${bucket.userId}. Remaining: ${bucket.burstTokens}`);
             return true;
         }
@@ -114,6 +124,7 @@ class RateLimiter {
         // Check minute limit
         if (bucket.minuteTokens <= 0) {
             bucket.blockedRequests++;
+            this.decisions.blocked++;
             logger.warn(`Minute rate limit exceeded for ${bucket.userId}`);
             return false;
         }
@@ -121,6 +132,7 @@ class RateLimiter {
         // Check hour limit
         if (bucket.hourTokens <= 0) {
             bucket.blockedRequests++;
+            this.decisions.blocked++;
             logger.warn(`Hour rate limit exceeded for ${bucket.userId}`);
             return false;
         }
@@ -128,6 +140,7 @@ class RateLimiter {
         // Consume tokens
         bucket.minuteTokens--;
         bucket.hourTokens--;
+        this.decisions.allowed++;
         
         logger.debug(`Token consumed for ${bucket.userId}. Minute: ${bucket.minuteTokens}, Hour: ${bucket.hourTokens}`);
         return true;
@@ -198,13 +211,16 @@ class RateLimiter {
         }
     }
 
-    // Get user rate limit status
+    // Get user rate limit status without creating a bucket or consuming tokens
     getUserStatus(userId) {
-        const bucket = this.getUserBucket(userId);
+        const tracked = this.userBuckets.has(userId);
+        const bucket = { ...(tracked ? this.userBuckets.get(userId) : this.createNewBucket(userId)) };
+        this.refillBucket(bucket); // Refill a copy only
         const queue = this.messageQueues.get(userId) || [];
         
         return {
             userId,
+            tracked,
             limits: this.limits,
             currentStatus: {
                 minuteTokens: bucket.minuteTokens,
@@ -221,7 +237,7 @@ class RateLimiter {
                 lastActivity: bucket.lastActivity,
                 createdAt: bucket.createdAt
             },
-            canSend: this.checkLimit(userId) // This will consume a token if true
+            canSend: bucket.burstTokens > 0 || (bucket.minuteTokens > 0 && bucket.hourTokens > 0)
         };
     }
 
@@ -232,10 +248,72 @@ class RateLimiter {
         logger.info(`Rate limits reset for ${userId}`);
     }
 
-    // Update rate limits configuration
-    updateLimits(newLimits) {
-        this.limits = { ...this.limits, ...newLimits };
-        logger.info('Rate limits updated:', this.limits);
+    // Update rate limits configuration. During emergency mode the change goes to
+    // the limits saved before it, which come back into force when it ends
+    async updateLimits(newLimits) {
+        await this.ready;
+        this.validateLimits(newLimits);
+
+        if (this.emergencyMode) {
+            this.limitsBeforeEmergency = { ...(this.limitsBeforeEmergency || this.defaultLimits), ...newLimits };
+            logger.info('Rate limits updated, in force once emergency mode ends:', this.limitsBeforeEmergency);
+        } else {
+            this.limits = { ...this.limits, ...newLimits };
+            logger.info('Rate limits updated:', this.limits);
+        }
+        await this.persistState();
+    }
+
+    validateLimits(newLimits) {
+        if (!newLimits || typeof newLimits !== 'object' || Array.isArray(newLimits)) {
+            throw new ApiError('Limits must be an object', 400, 'INVALID_LIMITS');
+        }
+
+        const allowed = Object.keys(this.defaultLimits);
+        const errors = [];
+        for (const [key, value] of Object.entries(newLimits)) {
+            if (!allowed.includes(key)) {
+                errors.push(`${key} is not a known limit`);
+            } else if (!Number.isInteger(value) || value < 0 || (key !== 'burstLimit' && value < 1)) {
+                errors.push(`${key} must be a ${key === 'burstLimit' ? 'non-negative' : 'positive'} integer`);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ApiError('Invalid rate limits', 400, 'INVALID_LIMITS', { errors, allowed });
+        }
+    }
+
+    async loadPersistedState() {
+        try {
+            const state = await readJson(this.stateFile, null);
+            if (!state) return;
+            this.limits = { ...this.defaultLimits, ...state.limits };
+            this.emergencyMode = Boolean(state.emergencyMode);
+            this.limitsBeforeEmergency = state.limitsBeforeEmergency || null;
+            logger.info(`Persisted rate limits loaded${this.emergencyMode ? ' (emergency mode)' : ''}:`, this.limits);
+        } catch (error) {
+            logger.error('Error loading persisted rate limits:', error);
+        }
+    }
+
+    persistState() {
+        return writeJson(this.stateFile, {
+            limits: this.limits,
+            emergencyMode: this.emergencyMode,
+            limitsBeforeEmergency: this.limitsBeforeEmergency,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    // Drop runtime overrides and go back to the configured limits
+    async resetLimitsToDefaults() {
+        await this.ready;
+        this.emergencyMode = false;
+        this.limitsBeforeEmergency = null;
+        this.limits = { ...this.defaultLimits };
+        await this.persistState();
+        logger.info('Rate limits reset to configured defaults:', this.limits);
     }
 
     // Get system-wide statistics
@@ -268,7 +346,10 @@ class RateLimiter {
             totalRequests,
             blockedRequests,
             queuedMessages,
+            allowedTotal: this.decisions.allowed,
+            blockedTotal: this.decisions.blocked,
             limits: this.limits,
+            emergencyMode: this.emergencyMode,
             timestamp: new Date().toISOString()
         };
     }
@@ -312,13 +393,14 @@ class RateLimiter {
 
     // Start automatic cleanup process
     startCleanupProcess() {
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             try {
                 this.cleanup();
             } catch (error) {
                 logger.error('Error during rate limiter cleanup:', error);
             }
         }, this.cleanupInterval);
+        this.cleanupTimer.unref();
         
         logger.info('Rate limiter cleanup process started');
     }
@@ -375,39 +457,48 @@ class RateLimiter {
                 messagesPerMinute: 1,
                 messagesPerHour: 15,
                 burstLimit: 2
-            });
+            }).catch(error => logger.error('Error applying adaptive rate limits:', error));
         } else if (serverLoad < 0.4) {
             // Low load - increase limits
             this.updateLimits({
                 messagesPerMinute: 3,
                 messagesPerHour: 30,
                 burstLimit: 4
-            });
+            }).catch(error => logger.error('Error applying adaptive rate limits:', error));
         }
         
         logger.info(`Adaptive rate limiting applied for server load: ${serverLoad}`);
     }
 
     // Emergency rate limiting
-    enableEmergencyMode() {
+    async enableEmergencyMode() {
+        await this.ready;
         logger.warn('Emergency rate limiting enabled');
+
+        // Remember the limits in force so disabling restores them
+        if (!this.emergencyMode) {
+            this.limitsBeforeEmergency = { ...this.limits };
+        }
+        this.emergencyMode = true;
         
-        this.updateLimits({
+        this.limits = {
+            ...this.limits,
             messagesPerMinute: 1,
             messagesPerHour: 5,
             burstLimit: 1
-        });
+        };
+        await this.persistState();
     }
 
-    disableEmergencyMode() {
+    async disableEmergencyMode() {
+        await this.ready;
         logger.info('Emergency rate limiting disabled');
         
-        // Restore default limits
-        this.updateLimits({
-            messagesPerMinute: 2,
-            messagesPerHour: 20,
-            burstLimit: 3
-        });
+        // Restore the limits in force before emergency mode, else the configured ones
+        this.limits = { ...this.limits, ...(this.limitsBeforeEmergency || this.defaultLimits) };
+        this.emergencyMode = false;
+        this.limitsBeforeEmergency = null;
+        await this.persistState();
     }
 
     // Health check
@@ -442,7 +533,9 @@ class RateLimiter {
             timestamp: new Date().toISOString(),
             systemStats: stats,
             buckets: bucketData,
-            configuration: this.limits
+            configuration: this.limits,
+            defaults: this.defaultLimits,
+            emergencyMode: this.emergencyMode
         };
     }
 }
@@ -0,0 +1,113 @@
+const { Worker } = require('worker_threads');
+const { logger } = require('./utils');
+
+// Runs in the worker; compiled patterns are cached since rules are matched over and over
+const WORKER_SOURCE = `
+const { parentPort } = require('worker_threads');
+const compiled = new Map();
+
+parentPort.on('message', ({ id, pattern, flags, text }) => {
+    try {
+        const key = flags + '/' + pattern;
+        let regex = compiled.get(key);
+        if (!regex) {
+            if (compiled.size >= 1000) compiled.clear();
+            regex = new RegExp(pattern, flags);
+            compiled.set(key, regex);
+        }
+        parentPort.postMessage({ id, matched: regex.test(text) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
+`;
+
+/**
+ * Tests user-supplied regular expressions in a worker thread with a time
+ * limit. A pattern with catastrophic backtracking (e.g. ^(a+)+$) would
+ * otherwise block the event loop for every session; here the worker is
+ * terminated when the limit passes and a fresh one is started straight away
+ * for the next test. The limit only counts time spent matching, never the
+ * worker's start-up. Tests run one at a time, in the order they were asked for.
+ */
+class RegexSandbox {
+    constructor({ timeout }) {
+        this.timeout = timeout;
+        this.worker = null;
+        this.workerReady = null; // resolves once the worker is online
+        this.nextId = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * @returns {Promise<boolean>} - Whether the pattern matches the text
+     * @throws {Error} - code REGEX_TIMEOUT when matching runs past the time limit
+     */
+    test(pattern, flags, text) {
+        const result = this.queue.then(() => this.run(pattern, flags, text));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async run(pattern, flags, text) {
+        const worker = await this.getWorker();
+        const id = ++this.nextId;
+
+        return new Promise((resolve, reject) => {
+            const onMessage = message => {
+                if (message.id !== id) return;
+                clearTimeout(timer);
+                worker.off('message', onMessage);
+                if (message.error) {
+                    reject(new Error(message.error));
+                } else {
+                    resolve(message.matched);
+                }
+            };
+
+            const timer = setTimeout(() => {
+                worker.off('message', onMessage);
+                this.reset();
+                // Warm up the replacement now so the next test does not wait for it
+                this.getWorker().catch(() => {});
+
+                const error = new Error(`Regular expression took longer than ${this.timeout}ms`);
+                error.code = 'REGEX_TIMEOUT';
+                reject(error);
+            }, this.timeout);
+
+            worker.on('message', onMessage);
+            worker.postMessage({ id, pattern, flags, text });
+        });
+    }
+
+    getWorker() {
+        if (!this.workerReady) {
+            const worker = new Worker(WORKER_SOURCE, { eval: true });
+            worker.on('error', error => {
+                logger.error('Regex worker failed:', error);
+                if (this.worker === worker) this.reset();
+            });
+            this.worker = worker;
+            this.workerReady = new Promise((resolve, reject) => {
+                worker.once('online', () => {
+                    // Once started, never keep the process alive just for the worker
+                    worker.unref();
+                    resolve(worker);
+                });
+                worker.once('error', reject);
+            });
+        }
+        return this.workerReady;
+    }
+
+    reset() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+        this.workerReady = null;
+    }
+}
+
+module.exports = RegexSandbox;
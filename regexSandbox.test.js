@@ -0,0 +1,31 @@
+const RegexSandbox = require('./regexSandbox');
+
+describe('RegexSandbox', () => {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = new RegexSandbox({ timeout: 200 });
+    });
+
+    afterEach(() => {
+        sandbox.reset();
+    });
+
+    test('matches patterns with their flags', async () => {
+        expect(await sandbox.test('^price', 'i', 'PRICE list')).toBe(true);
+        expect(await sandbox.test('^price', '', 'PRICE list')).toBe(false);
+    });
+
+    test('rejects invalid patterns without a timeout', async () => {
+        await expect(sandbox.test('(', '', 'text')).rejects.not.toHaveProperty('code', 'REGEX_TIMEOUT');
+    });
+
+    test('stops catastrophic backtracking and keeps working afterwards', async () => {
+        const started = Date.now();
+
+        await expect(sandbox.test('^(a+)+$', '', `${'a'.repeat(40)}!`)).rejects.toHaveProperty('code', 'REGEX_TIMEOUT');
+        expect(Date.now() - started).toBeLessThan(5000);
+
+        expect(await sandbox.test('hello', '', 'say hello')).toBe(true);
+    });
+});
@@ -0,0 +1,192 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('./config');
+const { logger, logsDir, ApiError, readJson, writeJson } = require('./utils');
+
+// Files winston is currently writing to; only their rotated copies are removed
+const ACTIVE_LOG_FILES = ['error.log', 'combined.log'];
+
+/**
+ * Scheduled retention: prunes conversation history through
+ * SessionStore.cleanupOldData using per-session policies, and removes old log
+ * and media files. Every run produces a report that is kept, logged and emitted.
+ */
+class RetentionService {
+    constructor(whatsappManager) {
+        this.manager = whatsappManager;
+        this.stateFile = path.join(__dirname, 'data', 'retention.json');
+
+        this.enabled = config.retention.enabled;
+        this.interval = config.whatsapp.cleanupInterval;
+        this.defaultRetentionDays = config.storage.dataRetentionDays;
+        this.logRetentionDays = config.logging.retentionDays;
+        this.maxStoredReports = 20;
+
+        this.policies = {}; // sessionId => retention in days, 0 keeps forever
+        this.reports = [];
+        this.running = null;
+
+        this.ready = this.load();
+
+        if (this.enabled) {
+            this.timer = setInterval(() => {
+                this.run().catch(error => {
+                    logger.error('Error running retention job:', error);
+                });
+            }, this.interval);
+            this.timer.unref();
+        }
+    }
+
+    async load() {
+        try {
+            const state = await readJson(this.stateFile, {});
+            this.policies = state.policies || {};
+            this.reports = state.reports || [];
+        } catch (error) {
+            logger.error('Error loading retention state:', error);
+        }
+    }
+
+    persist() {
+        return writeJson(this.stateFile, { policies: this.policies, reports: this.reports });
+    }
+
+    getPolicy(sessionId) {
+        const custom = this.policies[sessionId];
+        return {
+            sessionId,
+            retentionDays: custom === undefined ? this.defaultRetentionDays : custom,
+            custom: custom !== undefined
+        };
+    }
+
+    async setPolicy(sessionId, { retentionDays } = {}) {
+        await this.ready;
+
+        const days = Number(retentionDays);
+        if (!Number.isInteger(days) || days < 0) {
+            throw new ApiError('retentionDays must be a non-negative integer (0 keeps data forever)', 400, 'INVALID_RETENTION_POLICY');
+        }
+
+        this.policies[sessionId] = days;
+        await this.persist();
+        logger.info(`Retention policy for ${sessionId} set to ${days === 0 ? 'forever' : `${days} days`}`);
+        return this.getPolicy(sessionId);
+    }
+
+    async removePolicy(sessionId) {
+        await this.ready;
+        delete this.policies[sessionId];
+        await this.persist();
+        return this.getPolicy(sessionId);
+    }
+
+    async cleanupLogs({ dryRun = false } = {}) {
+        const cutoff = Date.now() - this.logRetentionDays * 24 * 60 * 60 * 1000;
+        const deletedFiles = [];
+        let freedBytes = 0;
+
+        let files = [];
+        try {
+            files = await fs.readdir(logsDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const file of files) {
+            if (ACTIVE_LOG_FILES.includes(file) || !file.includes('.log')) continue;
+
+            try {
+                const filePath = path.join(logsDir, file);
+                const stats = await fs.stat(filePath);
+                if (!stats.isFile() || stats.mtimeMs >= cutoff) continue;
+
+                if (!dryRun) {
+                    await fs.unlink(filePath);
+                }
+                deletedFiles.push(file);
+                freedBytes += stats.size;
+            } catch (error) {
+                logger.warn(`Error cleaning up log file ${file}:`, error);
+            }
+        }
+
+        return { retentionDays: this.logRetentionDays, deletedFiles, freedBytes };
+    }
+
+    /**
+     * Run retention once
+     * @param {Object} options - dryRun reports what would be deleted without deleting it
+     * @returns {Object} - Report of what was deleted
+     */
+    async run({ dryRun = false, trigger = 'schedule' } = {}) {
+        await this.ready;
+
+        // Never overlap runs; a second caller gets the run already in progress
+        if (this.running) return this.running;
+
+        this.running = (async () => {
+            const startedAt = new Date().toISOString();
+
+            const data = await this.manager.sessionStore.cleanupOldData({
+                dryRun,
+                policies: this.policies
+            });
+            const logs = await this.cleanupLogs({ dryRun });
+            const media = await this.manager.mediaStore.cleanup({
+                retentionDays: config.media.retentionDays,
+                maxTotalSize: config.media.storeMaxSize,
+                dryRun,
+                keep: this.manager.autoResponder.referencedMediaIds()
+            });
+
+            const report = {
+                startedAt,
+                completedAt: new Date().toISOString(),
+                dryRun,
+                trigger,
+                defaultRetentionDays: this.defaultRetentionDays,
+                data,
+                logs,
+                media
+            };
+
+            if (!dryRun) {
+                this.reports.unshift(report);
+                this.reports = this.reports.slice(0, this.maxStoredReports);
+                await this.persist();
+            }
+
+            this.emitReport(report);
+            logger.info(`Retention ${dryRun ? 'dry run' : 'run'} finished: ${data.cleanedConversations} conversations, ${data.prunedMessages} messages, ${logs.deletedFiles.length} log files, ${media.deletedFiles.length} media files`);
+            return report;
+        })();
+
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    // Full report to system admins, each session's own part to its room
+    emitReport(report) {
+        this.manager.io.to('admins').emit('retention_completed', report);
+
+        for (const [sessionId, summary] of Object.entries(report.data.sessions)) {
+            this.manager.io.to(`session_${sessionId}`).emit('retention_completed', {
+                clientId: sessionId,
+                dryRun: report.dryRun,
+                ...summary,
+                timestamp: report.completedAt
+            });
+        }
+    }
+
+    listReports() {
+        return this.reports;
+    }
+}
+
+module.exports = RetentionService;
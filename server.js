@@ -3,196 +3,1745 @@ const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
+const { Readable } = require('stream');
+const multer = require('multer');
 require('dotenv').config();
 
 const WhatsAppManager = require('./whatsappManager');
 const SessionStore = require('./sessionStore');
-const { logger } = require('./utils');
+const { config } = require('./config');
+const AuthService = require('./auth');
+const HealthService = require('./healthService');
+const { getDriverName } = require('./clientDriver');
+const metrics = require('./metrics');
+const { EXPORT_FORMATS, parseExportFilters } = require('./conversationExport');
+const { parseWhatsAppExport, resolveOwner, toMessageRecords } = require('./chatImport');
+const { mediaType } = require('./mediaStore');
+const { logger, ApiError, getMemoryUsage, parsePagination, paginate, isValidClientId } = require('./utils');
+
+// DEBUG_MODE overrides LOG_LEVEL
+logger.level = config.logging.debug ? 'debug' : config.logging.level;
 
 // Initialize Express app
 const app = express();
 const server = createServer(app);
 
-// Initialize Socket.io with CORS
-const io = new Server(server, {
-    cors: {
-        origin: process.env.FRONTEND_URL || "http://localhost:3000",
-        methods: ["GET", "POST"],
-        credentials: true
-    },
-    transports: ['websocket', 'polling'],
-    pingTimeout: 60000,
-    pingInterval: 25000
+// Initialize Socket.io with CORS
+const io = new Server(server, {
+    cors: {
+        origin: config.server.frontendUrl,
+        methods: ["GET", "POST"],
+        credentials: true
+    },
+    transports: ['websocket', 'polling'],
+    // Room for base64 media sent through send_media
+    maxHttpBufferSize: Math.max(1e6, Math.ceil(config.media.maxSize * 1.4)),
+    pingTimeout: 60000,
+    pingInterval: 25000
+});
+
+// Middleware
+app.use(helmet({
+    contentSecurityPolicy: false,
+    crossOriginEmbedderPolicy: false
+}));
+
+app.use(cors({
+    origin: config.server.frontendUrl,
+    credentials: true
+}));
+
+// Large enough for base64 media (about 4/3 of the raw size)
+app.use(express.json({ limit: Math.max(10 * 1024 * 1024, Math.ceil(config.media.maxSize * 1.4)) }));
+app.use(express.urlencoded({ extended: true }));
+
+// Global instances
+const whatsappManager = new WhatsAppManager(io);
+const sessionStore = new SessionStore();
+const authService = new AuthService();
+
+// Shorthand for route-level scope checks
+const requireScope = (scope) => authService.requireScope(scope);
+
+// Send an error response, mapping ApiError to its status and code
+function sendError(res, error, context) {
+    if (error instanceof ApiError) {
+        return AuthService.sendApiError(res, error);
+    }
+    logger.error(`${context}:`, error);
+    res.status(500).json({
+        success: false,
+        error: error.message,
+        ...(config.server.detailedErrors && { stack: error.stack })
+    });
+}
+
+// Make sure the principal's tenant owns the session. Unknown sessions are only
+// visible to cross-tenant admins unless allowUnknown is set (session creation).
+async function authorizeSession(principal, clientId, { allowUnknown = false } = {}) {
+    const tenantId = await whatsappManager.getSessionTenant(clientId);
+
+    if (tenantId === null) {
+        if (!allowUnknown && principal.tenantId !== null) {
+            throw new ApiError(`Session ${clientId} not found`, 404, 'SESSION_NOT_FOUND');
+        }
+        return null;
+    }
+
+    authService.authorizeTenant(principal, tenantId);
+    return tenantId;
+}
+
+const INVALID_CLIENT_ID_MESSAGE = 'clientId must be 1 to 64 letters, digits or hyphens';
+
+// Tenant a new session is created under: the caller's own, or any for global admins
+function resolveTenant(principal, requestedTenantId) {
+    return principal.tenantId || requestedTenantId || AuthService.DEFAULT_TENANT;
+}
+
+// Agent a chat is assigned to: 'me', the caller, or another key of the same tenant that may work the inbox
+function resolveAssignee(principal, assignee) {
+    if (!assignee) return assignee === undefined ? undefined : null;
+    if (assignee === 'me' || assignee === principal.id) return principal.id;
+
+    const agent = authService.listApiKeys(principal).find(key => key.id === assignee);
+    if (!agent || !(agent.scopes.includes('*') || agent.scopes.includes('inbox:write'))) {
+        throw new ApiError(`Unknown agent: ${assignee}`, 400, 'UNKNOWN_AGENT');
+    }
+    return agent.id;
+}
+
+// Health check endpoint
+if (config.monitoring.healthCheckEnabled) {
+    const healthService = new HealthService({ timeout: config.monitoring.healthCheckTimeout });
+
+    healthService.register('sessionStore', () => sessionStore.healthCheck(), { critical: true });
+    healthService.register('rateLimiter', () => whatsappManager.rateLimiter.healthCheck());
+    healthService.register('whatsapp', () => whatsappManager.healthCheck());
+    // Every AI check is a billed model call, so it only runs on request and is cached
+    healthService.register('ai', () => whatsappManager.aiService.healthCheck(), {
+        optional: true,
+        cacheTtl: config.monitoring.healthCheckAiCacheTtl
+    });
+
+    app.get('/health', (req, res) => {
+        res.json({ 
+            status: 'healthy', 
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            sessions: whatsappManager.getActiveSessions().length
+        });
+    });
+
+    // Liveness: the process is up and serving requests
+    app.get('/health/live', (req, res) => {
+        res.json({ status: 'healthy', timestamp: new Date().toISOString(), uptime: process.uptime() });
+    });
+
+    // Readiness: component checks; 503 only when a critical component is unhealthy.
+    // This probe is unauthenticated, so it never runs the AI check (a billed model call)
+    app.get('/health/ready', async (req, res) => {
+        try {
+            const result = await healthService.check();
+            res.status(result.status === 'unhealthy' ? 503 : 200).json(result);
+        } catch (error) {
+            sendError(res, error, 'Error running readiness checks');
+        }
+    });
+
+    // Same checks with component details, for operators; the AI check runs here only
+    app.get('/api/health', requireScope('admin'), async (req, res) => {
+        try {
+            const includeAi = config.monitoring.healthCheckAi || req.query.ai === 'true';
+            const result = await healthService.check({ include: includeAi ? ['ai'] : [], verbose: true });
+            res.status(result.status === 'unhealthy' ? 503 : 200).json(result);
+        } catch (error) {
+            sendError(res, error, 'Error running health checks');
+        }
+    });
+}
+
+// Prometheus metrics
+if (config.monitoring.metricsEnabled) {
+    const sessionsByStatus = metrics.gauge('whatsapp_bot_sessions', 'WhatsApp sessions by status', ['status']);
+    const pendingSessions = metrics.gauge('whatsapp_bot_sessions_pending', 'Sessions waiting for capacity');
+    const maxSessions = metrics.gauge('whatsapp_bot_sessions_max', 'Configured maximum number of sessions');
+    const rateLimitDecisions = metrics.counter('whatsapp_bot_rate_limit_decisions_total', 'Rate limiter decisions since start', ['result']);
+    const rateLimitUsers = metrics.gauge('whatsapp_bot_rate_limit_users', 'Users tracked by the rate limiter', ['state']);
+    const rateLimitQueued = metrics.gauge('whatsapp_bot_rate_limit_queued_messages', 'Messages waiting in rate limiter queues');
+    const webhookDeliveries = metrics.gauge('whatsapp_bot_webhook_deliveries', 'Stored webhook deliveries by status', ['status']);
+    const memoryUsage = metrics.gauge('whatsapp_bot_process_memory_megabytes', 'Process memory usage', ['type']);
+    const uptime = metrics.gauge('whatsapp_bot_process_uptime_seconds', 'Process uptime');
+
+    metrics.addCollector(() => {
+        sessionsByStatus.reset();
+        for (const session of whatsappManager.getActiveSessions()) {
+            sessionsByStatus.inc({ status: session.status });
+        }
+        pendingSessions.set({}, whatsappManager.getPendingSessions().length);
+        maxSessions.set({}, whatsappManager.maxSessions);
+
+        const rateStats = whatsappManager.rateLimiter.getSystemStats();
+        rateLimitDecisions.set({ result: 'allowed' }, rateStats.allowedTotal);
+        rateLimitDecisions.set({ result: 'blocked' }, rateStats.blockedTotal);
+        rateLimitUsers.set({ state: 'tracked' }, rateStats.totalUsers);
+        rateLimitUsers.set({ state: 'active' }, rateStats.activeUsers);
+        rateLimitQueued.set({}, rateStats.queuedMessages);
+
+        webhookDeliveries.reset();
+        const { deliveries } = whatsappManager.webhookService.getStats();
+        Object.entries(deliveries).forEach(([status, count]) => webhookDeliveries.set({ status }, count));
+
+        Object.entries(getMemoryUsage()).forEach(([type, megabytes]) => memoryUsage.set({ type }, megabytes));
+        uptime.set({}, process.uptime());
+    });
+
+    // Cross-tenant data, so only keys without a tenant may scrape
+    app.get('/metrics', requireScope('metrics:read'), async (req, res) => {
+        try {
+            authService.authorizeCrossTenant(req.principal);
+            res.set('Content-Type', metrics.CONTENT_TYPE);
+            res.send(await metrics.render());
+        } catch (error) {
+            sendError(res, error, 'Error rendering metrics');
+        }
+    });
+}
+
+// Get all sessions
+app.get('/api/sessions', requireScope('sessions:read'), (req, res) => {
+    try {
+        const { tenantId } = req.principal;
+        res.json({
+            success: true,
+            sessions: whatsappManager.getActiveSessions(tenantId),
+            pending: whatsappManager.getPendingSessions(tenantId),
+            capacity: whatsappManager.getCapacity(tenantId)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error fetching sessions');
+    }
+});
+
+// Create new session
+app.post('/api/sessions', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId, tenantId, queue = false } = req.body;
+        
+        if (!clientId) {
+            throw new ApiError('clientId is required', 400, 'INVALID_CLIENT_ID');
+        }
+        if (!isValidClientId(clientId)) {
+            throw new ApiError(INVALID_CLIENT_ID_MESSAGE, 400, 'INVALID_CLIENT_ID');
+        }
+
+        await authorizeSession(req.principal, clientId, { allowUnknown: true });
+
+        // With queue=true a session over quota joins the waiting list instead of failing
+        const result = await whatsappManager.createSession(clientId, {
+            tenantId: resolveTenant(req.principal, tenantId),
+            queue: Boolean(queue)
+        });
+        res.status(result.status === 'queued' ? 202 : 200).json({ success: true, session: result });
+        
+    } catch (error) {
+        sendError(res, error, 'Error creating session');
+    }
+});
+
+// Delete session
+app.delete('/api/sessions/:clientId', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+        await whatsappManager.destroySession(clientId);
+        res.json({ success: true, message: 'Session deleted' });
+        
+    } catch (error) {
+        sendError(res, error, 'Error deleting session');
+    }
+});
+
+// Send message endpoint
+app.post('/api/send-message', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId, to, message } = req.body;
+        
+        if (!clientId || !to || !message) {
+            throw new ApiError('clientId, to, and message are required', 400, 'INVALID_MESSAGE');
+        }
+
+        await authorizeSession(req.principal, clientId);
+
+        const result = await whatsappManager.sendMessage(clientId, to, message);
+        res.json({ success: true, result });
+        
+    } catch (error) {
+        sendError(res, error, 'Error sending message');
+    }
+});
+
+// Multipart media uploads are kept in memory; MediaStore validates them before sending
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.media.maxSize, files: 1 }
+}).single('file');
+
+const parseMediaUpload = (req, res, next) => {
+    mediaUpload(req, res, (error) => {
+        if (!error) return next();
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return sendError(res, new ApiError(`Media exceeds the ${config.media.maxSize} byte limit`, 413, 'MEDIA_TOO_LARGE', {
+                maxSize: config.media.maxSize
+            }), 'Error receiving media upload');
+        }
+        sendError(res, new ApiError(error.message, 400, 'INVALID_MEDIA'), 'Error receiving media upload');
+    });
+};
+
+// Send an image, video, audio clip or document. Accepts multipart/form-data
+// (clientId, to, caption, asDocument, file) or JSON with
+// media: { data (base64 or data: URL), mimetype, filename } or media: { path } inside MEDIA_LOCAL_DIR
+app.post('/api/send-media', requireScope('messages:send'), parseMediaUpload, async (req, res) => {
+    try {
+        const { clientId, to, caption = '', media } = req.body;
+        const asDocument = req.body.asDocument === true || req.body.asDocument === 'true';
+
+        if (!clientId || !to || (!req.file && !media)) {
+            throw new ApiError('clientId, to and a file or media are required', 400, 'INVALID_MEDIA');
+        }
+
+        await authorizeSession(req.principal, clientId);
+
+        const input = req.file
+            ? { buffer: req.file.buffer, mimetype: req.file.mimetype, filename: req.file.originalname }
+            : await whatsappManager.mediaStore.readInput(media);
+
+        const result = await whatsappManager.sendMediaMessage(clientId, to, { ...input, caption, asDocument });
+        res.json({ success: true, result });
+        
+    } catch (error) {
+        sendError(res, error, 'Error sending media');
+    }
+});
+
+// Download a stored attachment referenced from the session's history.
+// Images, audio and video are shown inline with ?inline=true; everything else is an attachment
+app.get('/api/sessions/:clientId/media/:mediaId', requireScope('history:read'), async (req, res) => {
+    try {
+        const { clientId, mediaId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const { meta, path: filePath } = await whatsappManager.mediaStore.getFile(clientId, mediaId);
+        const inline = req.query.inline === 'true' && /^(image|audio|video)\//.test(meta.mimetype);
+        const filename = (meta.filenames && meta.filenames[0]) || mediaId;
+
+        res.set('Content-Type', meta.mimetype);
+        res.set('Cache-Control', 'private, max-age=86400, immutable');
+        res.attachment(filename);
+        if (inline) {
+            res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+        }
+        res.sendFile(filePath, (error) => {
+            if (error && !res.headersSent) {
+                sendError(res, error.code === 'ENOENT' ? new ApiError('Media not found', 404, 'MEDIA_NOT_FOUND') : error, 'Error sending media file');
+            }
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error downloading media');
+    }
+});
+
+// Get conversation history
+app.get('/api/history/:sessionId/:chatId', requireScope('history:read'), async (req, res) => {
+    try {
+        const { sessionId, chatId } = req.params;
+        const { limit = 50 } = req.query;
+
+        await authorizeSession(req.principal, sessionId);
+        
+        const history = await sessionStore.getConversationHistory(
+            sessionId, 
+            chatId, 
+            parseInt(limit)
+        );
+        
+        res.json({ success: true, history });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching history');
+    }
+});
+
+// Conversations of a session, most recently active first
+app.get('/api/sessions/:clientId/conversations', requireScope('history:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const pagination = parsePagination(req.query);
+        await authorizeSession(req.principal, clientId);
+
+        const conversations = (await sessionStore.getSessionConversations(clientId)).map(conversation => ({
+            ...conversation,
+            botState: whatsappManager.chatStates.get(clientId, conversation.chatId)
+        }));
+        const { items, pagination: page } = paginate(conversations, pagination);
+        res.json({ success: true, conversations: items, pagination: page });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing conversations');
+    }
+});
+
+// Full-text search across a session's messages, newest first
+app.get('/api/sessions/:clientId/search', requireScope('history:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { q } = req.query;
+
+        if (!q || !q.trim()) {
+            throw new ApiError('q is required', 400, 'INVALID_QUERY');
+        }
+
+        const pagination = parsePagination(req.query);
+        await authorizeSession(req.principal, clientId);
+
+        const results = await sessionStore.searchMessages(clientId, q.trim(), Infinity);
+        const { items, pagination: page } = paginate(results, pagination);
+        res.json({ success: true, query: q.trim(), results: items, pagination: page });
+        
+    } catch (error) {
+        sendError(res, error, 'Error searching messages');
+    }
+});
+
+app.get('/api/sessions/:clientId/stats', requireScope('history:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const stats = await sessionStore.getSessionStats(clientId);
+        res.json({ success: true, stats });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching session stats');
+    }
+});
+
+// Download a session's conversations as json, ndjson (streamed), csv, html or txt.
+// Filters: chatId (comma separated), from, to, source (all|ai|human), timezone
+app.get('/api/sessions/:clientId/export', requireScope('history:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { format = 'json' } = req.query;
+        const exportFormat = EXPORT_FORMATS[format];
+
+        if (!exportFormat) {
+            throw new ApiError(`Unsupported export format: ${format}`, 400, 'INVALID_FORMAT', {
+                allowed: Object.keys(EXPORT_FORMATS)
+            });
+        }
+
+        const filters = parseExportFilters(req.query);
+        await authorizeSession(req.principal, clientId);
+
+        const scope = filters.chatIds.length === 1 ? filters.chatIds[0].replace(/[^a-zA-Z0-9@.-]/g, '_') : 'conversations';
+        const filename = `${clientId}_${scope}_${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+
+        if (format === 'ndjson') {
+            res.set('Content-Type', exportFormat.contentType);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+            const stream = Readable.from(sessionStore.streamConversationData(clientId, filters));
+            stream.on('error', (error) => {
+                logger.error(`Error streaming export for ${clientId}:`, error);
+                res.destroy(error);
+            });
+            return stream.pipe(res);
+        }
+
+        const data = await sessionStore.exportConversationData(clientId, format, filters);
+        res.set('Content-Type', exportFormat.contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(data);
+        
+    } catch (error) {
+        sendError(res, error, 'Error exporting conversations');
+    }
+});
+
+// Import a WhatsApp "Export chat" .txt file into a conversation. Accepts
+// text/plain with options in the query string, or JSON { text, ...options }.
+// Options: ownerName, dateOrder (DMY|MDY|YMD), timezone
+app.post('/api/sessions/:clientId/conversations/:chatId/import',
+    requireScope('history:write'),
+    express.text({ type: 'text/plain', limit: '10mb' }),
+    async (req, res) => {
+        try {
+            const { clientId, chatId } = req.params;
+            const isText = typeof req.body === 'string';
+            const options = isText ? req.query : { ...req.query, ...req.body };
+            const text = isText ? req.body : req.body.text;
+
+            await authorizeSession(req.principal, clientId);
+
+            const parsed = parseWhatsAppExport(text, { dateOrder: options.dateOrder, timezone: options.timezone });
+
+            const metadata = await sessionStore.getSessionMetadata(clientId);
+            const clientInfo = (metadata && metadata.clientInfo) || {};
+            const ownerName = resolveOwner(parsed.senders, {
+                ownerName: options.ownerName,
+                pushname: clientInfo.pushname,
+                chatId
+            });
+
+            if (!ownerName) {
+                throw new ApiError('Could not tell which sender is the account owner; pass ownerName', 400, 'OWNER_REQUIRED', {
+                    senders: parsed.senders
+                });
+            }
+
+            const records = toMessageRecords(parsed.messages, {
+                chatId,
+                ownerName,
+                ownJid: clientInfo.wid ? clientInfo.wid._serialized : null
+            });
+            const result = await sessionStore.importMessages(clientId, chatId, records);
+
+            logger.info(`Imported ${result.imported} messages into ${clientId}/${chatId} (${result.duplicates} duplicates)`);
+            res.json({
+                success: true,
+                chatId,
+                ownerName,
+                dateOrder: parsed.dateOrder,
+                parsed: parsed.messages.length,
+                skipped: parsed.skipped,
+                ...result
+            });
+
+        } catch (error) {
+            sendError(res, error, 'Error importing chat export');
+        }
+    }
+);
+
+app.delete('/api/sessions/:clientId/conversations/:chatId', requireScope('history:write'), async (req, res) => {
+    try {
+        const { clientId, chatId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        if (!await sessionStore.conversationExists(clientId, chatId)) {
+            throw new ApiError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+        }
+
+        await sessionStore.deleteConversation(clientId, chatId);
+        res.json({ success: true, message: 'Conversation deleted' });
+        
+    } catch (error) {
+        sendError(res, error, 'Error deleting conversation');
+    }
+});
+
+// Rate limiter administration. Buckets are keyed by contact across all sessions,
+// so these routes need an admin key without a tenant.
+const requireSystemAdmin = [
+    requireScope('admin'),
+    (req, res, next) => {
+        try {
+            authService.authorizeCrossTenant(req.principal);
+            next();
+        } catch (error) {
+            sendError(res, error, 'Error authorizing admin request');
+        }
+    }
+];
+
+app.get('/api/admin/rate-limits', requireSystemAdmin, (req, res) => {
+    res.json({
+        success: true,
+        stats: whatsappManager.rateLimiter.getSystemStats(),
+        defaults: whatsappManager.rateLimiter.defaultLimits
+    });
+});
+
+app.get('/api/admin/rate-limits/export', requireSystemAdmin, (req, res) => {
+    res.json({ success: true, data: whatsappManager.rateLimiter.exportMonitoringData() });
+});
+
+app.get('/api/admin/rate-limits/users/:userId', requireSystemAdmin, (req, res) => {
+    res.json({ success: true, status: whatsappManager.rateLimiter.getUserStatus(req.params.userId) });
+});
+
+app.delete('/api/admin/rate-limits/users/:userId', requireSystemAdmin, (req, res) => {
+    whatsappManager.rateLimiter.resetUserLimits(req.params.userId);
+    res.json({ success: true, message: `Rate limits reset for ${req.params.userId}` });
+});
+
+app.patch('/api/admin/rate-limits/limits', requireSystemAdmin, async (req, res) => {
+    try {
+        const { rateLimiter } = whatsappManager;
+        await rateLimiter.updateLimits(req.body);
+        logger.info(`Rate limits changed by ${req.principal.id}`);
+        res.json({
+            success: true,
+            emergencyMode: rateLimiter.emergencyMode,
+            limits: rateLimiter.limits,
+            // What the change applies to while emergency mode holds the limits down
+            ...(rateLimiter.emergencyMode && { limitsAfterEmergency: rateLimiter.limitsBeforeEmergency })
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating rate limits');
+    }
+});
+
+app.delete('/api/admin/rate-limits/limits', requireSystemAdmin, async (req, res) => {
+    try {
+        const { rateLimiter } = whatsappManager;
+        await rateLimiter.resetLimitsToDefaults();
+        res.json({ success: true, limits: rateLimiter.limits });
+        
+    } catch (error) {
+        sendError(res, error, 'Error resetting rate limits');
+    }
+});
+
+app.post('/api/admin/rate-limits/emergency', requireSystemAdmin, async (req, res) => {
+    try {
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            throw new ApiError('enabled must be true or false', 400, 'INVALID_LIMITS');
+        }
+
+        const { rateLimiter } = whatsappManager;
+        if (enabled) {
+            await rateLimiter.enableEmergencyMode();
+        } else {
+            await rateLimiter.disableEmergencyMode();
+        }
+        logger.warn(`Emergency rate limiting ${enabled ? 'enabled' : 'disabled'} by ${req.principal.id}`);
+
+        res.json({ success: true, emergencyMode: rateLimiter.emergencyMode, limits: rateLimiter.limits });
+
+    } catch (error) {
+        sendError(res, error, 'Error changing emergency mode');
+    }
+});
+
+// Webhook subscriptions for a session
+app.get('/api/sessions/:clientId/webhooks', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        res.json({ success: true, webhooks: whatsappManager.webhookService.listWebhooks(clientId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing webhooks');
+    }
+});
+
+app.post('/api/sessions/:clientId/webhooks', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { url, events, secret, description } = req.body;
+
+        if (!url) {
+            throw new ApiError('url is required', 400, 'INVALID_WEBHOOK');
+        }
+
+        await authorizeSession(req.principal, clientId);
+
+        const webhook = await whatsappManager.webhookService.createWebhook(clientId, { url, events, secret, description });
+        res.status(201).json({ success: true, webhook });
+        
+    } catch (error) {
+        sendError(res, error, 'Error creating webhook');
+    }
+});
+
+app.patch('/api/sessions/:clientId/webhooks/:webhookId', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const { clientId, webhookId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const webhook = await whatsappManager.webhookService.updateWebhook(clientId, webhookId, req.body);
+        res.json({ success: true, webhook });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating webhook');
+    }
+});
+
+app.delete('/api/sessions/:clientId/webhooks/:webhookId', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const { clientId, webhookId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.webhookService.deleteWebhook(clientId, webhookId);
+        res.json({ success: true, message: 'Webhook deleted' });
+        
+    } catch (error) {
+        sendError(res, error, 'Error deleting webhook');
+    }
+});
+
+// Recent webhook deliveries, optionally filtered by status (pending, retrying, delivered, failed)
+app.get('/api/sessions/:clientId/webhooks/deliveries', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { status, webhookId, limit = 50 } = req.query;
+        await authorizeSession(req.principal, clientId);
+
+        const deliveries = whatsappManager.webhookService.listDeliveries(clientId, {
+            status,
+            webhookId,
+            limit: parseInt(limit)
+        });
+        res.json({ success: true, deliveries });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing webhook deliveries');
+    }
+});
+
+app.post('/api/sessions/:clientId/webhooks/deliveries/:deliveryId/replay', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+        const { clientId, deliveryId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const delivery = await whatsappManager.webhookService.replayDelivery(clientId, deliveryId);
+        res.json({ success: true, delivery });
+        
+    } catch (error) {
+        sendError(res, error, 'Error replaying webhook delivery');
+    }
+});
+
+// Scheduled messages. Body: to, message and either sendAt (ISO date) or cron (with optional timezone)
+app.get('/api/sessions/:clientId/schedules', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const pagination = parsePagination(req.query);
+        await authorizeSession(req.principal, clientId);
+
+        const schedules = whatsappManager.scheduler.listSchedules(clientId, { status: req.query.status });
+        const { items, pagination: page } = paginate(schedules, pagination);
+        res.json({ success: true, schedules: items, pagination: page });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing scheduled messages');
+    }
+});
+
+app.post('/api/sessions/:clientId/schedules', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const schedule = await whatsappManager.scheduler.createSchedule(clientId, req.body || {});
+        res.status(201).json({ success: true, schedule });
+        
+    } catch (error) {
+        sendError(res, error, 'Error scheduling message');
+    }
+});
+
+app.get('/api/sessions/:clientId/schedules/:scheduleId', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId, scheduleId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const schedule = whatsappManager.scheduler.getSchedule(clientId, scheduleId);
+        res.json({ success: true, schedule });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching scheduled message');
+    }
+});
+
+app.post('/api/sessions/:clientId/schedules/:scheduleId/pause', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId, scheduleId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const schedule = await whatsappManager.scheduler.pauseSchedule(clientId, scheduleId);
+        res.json({ success: true, schedule });
+        
+    } catch (error) {
+        sendError(res, error, 'Error pausing scheduled message');
+    }
+});
+
+app.post('/api/sessions/:clientId/schedules/:scheduleId/resume', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId, scheduleId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const schedule = await whatsappManager.scheduler.resumeSchedule(clientId, scheduleId);
+        res.json({ success: true, schedule });
+        
+    } catch (error) {
+        sendError(res, error, 'Error resuming scheduled message');
+    }
+});
+
+app.delete('/api/sessions/:clientId/schedules/:scheduleId', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId, scheduleId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const schedule = await whatsappManager.scheduler.cancelSchedule(clientId, scheduleId);
+        res.json({ success: true, schedule });
+        
+    } catch (error) {
+        sendError(res, error, 'Error cancelling scheduled message');
+    }
+});
+
+// Broadcast campaigns. Body: name, template ({{variable}} or {{variable|fallback}}),
+// recipients [{ to, ...variables }] or recipientsCsv, rate { perMinute, jitter }, start
+app.get('/api/sessions/:clientId/campaigns', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const pagination = parsePagination(req.query);
+        await authorizeSession(req.principal, clientId);
+
+        const campaigns = whatsappManager.campaignService.listCampaigns(clientId, { status: req.query.status });
+        const { items, pagination: page } = paginate(campaigns, pagination);
+        res.json({ success: true, campaigns: items, pagination: page });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing campaigns');
+    }
+});
+
+app.post('/api/sessions/:clientId/campaigns', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const campaignService = whatsappManager.campaignService;
+        let campaign = await campaignService.createCampaign(clientId, req.body || {});
+        if (req.body.start) {
+            campaign = await campaignService.startCampaign(clientId, campaign.id);
+        }
+        res.status(201).json({ success: true, campaign });
+        
+    } catch (error) {
+        sendError(res, error, 'Error creating campaign');
+    }
+});
+
+app.get('/api/sessions/:clientId/campaigns/:campaignId', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId, campaignId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const campaignService = whatsappManager.campaignService;
+        const campaign = campaignService.describeCampaign(campaignService.getCampaign(clientId, campaignId));
+        res.json({ success: true, campaign });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching campaign');
+    }
+});
+
+app.get('/api/sessions/:clientId/campaigns/:campaignId/recipients', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId, campaignId } = req.params;
+        const pagination = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+        await authorizeSession(req.principal, clientId);
+
+        const recipients = whatsappManager.campaignService.listRecipients(clientId, campaignId, { status: req.query.status });
+        const { items, pagination: page } = paginate(recipients, pagination);
+        res.json({ success: true, recipients: items, pagination: page });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing campaign recipients');
+    }
+});
+
+app.post('/api/sessions/:clientId/campaigns/:campaignId/:action(start|pause|cancel)', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId, campaignId, action } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const campaignService = whatsappManager.campaignService;
+        const handlers = {
+            start: () => campaignService.startCampaign(clientId, campaignId),
+            pause: () => campaignService.pauseCampaign(clientId, campaignId),
+            cancel: () => campaignService.cancelCampaign(clientId, campaignId)
+        };
+        const campaign = await handlers[action]();
+        res.json({ success: true, campaign });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating campaign');
+    }
+});
+
+// Numbers that never receive campaign messages from this session. Body: { numbers: [...] }
+app.get('/api/sessions/:clientId/opt-outs', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        res.json({ success: true, optOuts: whatsappManager.campaignService.listOptOuts(clientId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing opt-outs');
+    }
+});
+
+app.post('/api/sessions/:clientId/opt-outs', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const optOuts = await whatsappManager.campaignService.addOptOuts(clientId, (req.body || {}).numbers);
+        res.json({ success: true, optOuts });
+        
+    } catch (error) {
+        sendError(res, error, 'Error adding opt-outs');
+    }
+});
+
+app.delete('/api/sessions/:clientId/opt-outs', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const optOuts = await whatsappManager.campaignService.removeOptOuts(clientId, (req.body || {}).numbers);
+        res.json({ success: true, optOuts });
+        
+    } catch (error) {
+        sendError(res, error, 'Error removing opt-outs');
+    }
+});
+
+// Retention: per-session policy (days of history to keep, 0 = forever)
+app.get('/api/sessions/:clientId/retention', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        res.json({ success: true, policy: whatsappManager.retentionService.getPolicy(clientId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching retention policy');
+    }
+});
+
+app.put('/api/sessions/:clientId/retention', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const policy = await whatsappManager.retentionService.setPolicy(clientId, req.body || {});
+        res.json({ success: true, policy });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating retention policy');
+    }
+});
+
+app.delete('/api/sessions/:clientId/retention', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const policy = await whatsappManager.retentionService.removePolicy(clientId);
+        res.json({ success: true, policy });
+        
+    } catch (error) {
+        sendError(res, error, 'Error removing retention policy');
+    }
+});
+
+// Chats where the bot is paused or handed off; every other chat is 'auto'
+app.get('/api/sessions/:clientId/bot-states', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.chatStates.ready;
+        res.json({ success: true, chats: whatsappManager.chatStates.list(clientId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching bot states');
+    }
+});
+
+app.get('/api/sessions/:clientId/chats/:chatId/bot-state', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId, chatId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.chatStates.ready;
+        res.json({ success: true, botState: whatsappManager.chatStates.get(clientId, chatId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching bot state');
+    }
+});
+
+// Body: { state: auto|paused|handed_off, durationMs } - durationMs applies to paused (default HUMAN_TAKEOVER_TIMEOUT, 0 = until resumed)
+app.put('/api/sessions/:clientId/chats/:chatId/bot-state', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId, chatId } = req.params;
+        const { state, durationMs = null } = req.body || {};
+        await authorizeSession(req.principal, clientId);
+
+        const botState = await whatsappManager.chatStates.set(clientId, chatId, {
+            state,
+            durationMs,
+            reason: 'operator',
+            by: req.principal.id
+        });
+        res.json({ success: true, botState });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating bot state');
+    }
+});
+
+// Operator inbox: conversations with status, assignee and bot state.
+// Query: status (open|closed|all, default open), assignee (agent ID, me or unassigned), limit, offset
+app.get('/api/sessions/:clientId/inbox', requireScope('history:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const pagination = parsePagination(req.query);
+        const { status = 'open' } = req.query;
+        const assignee = req.query.assignee === 'me' ? req.principal.id : (req.query.assignee || null);
+        await authorizeSession(req.principal, clientId);
+
+        const chats = await whatsappManager.inbox.listChats(clientId, { status, assignee });
+        const { items, pagination: page } = paginate(chats, pagination);
+        res.json({ success: true, chats: items, pagination: page });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing inbox');
+    }
+});
+
+// One chat with its notes and recent messages. Query: limit (messages, default 50)
+app.get('/api/sessions/:clientId/inbox/:chatId', requireScope('history:read'), async (req, res) => {
+    try {
+        const { clientId, chatId } = req.params;
+        const { limit } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+        await authorizeSession(req.principal, clientId);
+
+        const chat = await whatsappManager.inbox.getChat(clientId, chatId, { limit });
+        res.json({ success: true, chat });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching inbox chat');
+    }
+});
+
+// Body: { assignee: agent ID, 'me' or null, status: open|closed }
+app.put('/api/sessions/:clientId/inbox/:chatId', requireScope('inbox:write'), async (req, res) => {
+    try {
+        const { clientId, chatId } = req.params;
+        const { status } = req.body || {};
+        await authorizeSession(req.principal, clientId);
+
+        const assignee = resolveAssignee(req.principal, (req.body || {}).assignee);
+        const chat = await whatsappManager.inbox.updateChat(clientId, chatId, { assignee, status }, req.principal);
+        res.json({ success: true, chat });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating inbox chat');
+    }
+});
+
+// Internal note on a chat; never sent to the contact. Body: { text }
+app.post('/api/sessions/:clientId/inbox/:chatId/notes', requireScope('inbox:write'), async (req, res) => {
+    try {
+        const { clientId, chatId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const note = await whatsappManager.inbox.addNote(clientId, chatId, (req.body || {}).text, req.principal);
+        res.status(201).json({ success: true, note });
+        
+    } catch (error) {
+        sendError(res, error, 'Error adding note');
+    }
+});
+
+app.delete('/api/sessions/:clientId/inbox/:chatId/notes/:noteId', requireScope('inbox:write'), async (req, res) => {
+    try {
+        const { clientId, chatId, noteId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const note = await whatsappManager.inbox.removeNote(clientId, chatId, noteId, req.principal, {
+            isAdmin: authService.hasScope(req.principal, 'admin')
+        });
+        res.json({ success: true, note });
+        
+    } catch (error) {
+        sendError(res, error, 'Error deleting note');
+    }
+});
+
+// Reply as the calling agent. Body: { message }
+app.post('/api/sessions/:clientId/inbox/:chatId/reply', requireScope('messages:send'), async (req, res) => {
+    try {
+        const { clientId, chatId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const message = await whatsappManager.sendAgentReply(clientId, chatId, (req.body || {}).message, req.principal);
+        res.json({ success: true, message });
+        
+    } catch (error) {
+        sendError(res, error, 'Error sending agent reply');
+    }
+});
+
+// Persona profile that shapes the session's AI replies
+app.get('/api/sessions/:clientId/persona', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.personaProfiles.ready;
+        res.json({ success: true, persona: whatsappManager.personaProfiles.get(clientId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching persona');
+    }
+});
+
+// Body: any of { botName, tone, businessDescription, forbiddenTopics, language: auto|hinglish|hindi|english,
+//   maxReplyWords, maxReplyChars, emojiPolicy: none|light|normal, guidelines, systemPrompt,
+//   models: { <provider>: <model> }, temperature, maxTokens } plus an optional note;
+//   null resets a field. Every change is stored as a new version.
+app.put('/api/sessions/:clientId/persona', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const { note, ...updates } = req.body || {};
+        const persona = await whatsappManager.personaProfiles.update(clientId, updates, { by: req.principal.id, note });
+        res.json({ success: true, persona });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating persona');
+    }
+});
+
+// Go back to the default persona; earlier versions stay available
+app.delete('/api/sessions/:clientId/persona', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const persona = await whatsappManager.personaProfiles.reset(clientId, { by: req.principal.id });
+        res.json({ success: true, persona });
+        
+    } catch (error) {
+        sendError(res, error, 'Error resetting persona');
+    }
+});
+
+app.get('/api/sessions/:clientId/persona/versions', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.personaProfiles.ready;
+        const versions = whatsappManager.personaProfiles.listVersions(clientId);
+        const { items, pagination: page } = paginate(versions, parsePagination(req.query));
+        res.json({ success: true, versions: items, pagination: page });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing persona versions');
+    }
+});
+
+app.post('/api/sessions/:clientId/persona/versions/:version/restore', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId, version } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const persona = await whatsappManager.personaProfiles.restore(clientId, version, { by: req.principal.id });
+        res.json({ success: true, persona });
+        
+    } catch (error) {
+        sendError(res, error, 'Error restoring persona version');
+    }
+});
+
+// The prompt the active persona produces for a message, without calling the model. Body: { message }
+app.post('/api/sessions/:clientId/persona/preview', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { message } = req.body || {};
+        await authorizeSession(req.principal, clientId);
+
+        if (typeof message !== 'string' || !message.trim()) {
+            throw new ApiError('message is required', 400, 'INVALID_MESSAGE');
+        }
+
+        await whatsappManager.personaProfiles.ready;
+        const profile = whatsappManager.personaProfiles.getProfile(clientId);
+        const language = whatsappManager.resolveLanguage(message, profile);
+        const prompt = whatsappManager.aiService.buildContextPrompt(message, 'User', [], language, { profile });
+        res.json({ success: true, language, prompt });
+        
+    } catch (error) {
+        sendError(res, error, 'Error previewing persona');
+    }
+});
+
+// Knowledge documents arrive as multipart uploads (field "file"), text/plain or JSON
+const knowledgeUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.knowledge.maxDocumentSize, files: 1 }
+}).single('file');
+
+const parseKnowledgeUpload = (req, res, next) => {
+    knowledgeUpload(req, res, (error) => {
+        if (!error) return next();
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return sendError(res, new ApiError(`Document exceeds the ${config.knowledge.maxDocumentSize} byte limit`, 413, 'DOCUMENT_TOO_LARGE', {
+                maxSize: config.knowledge.maxDocumentSize
+            }), 'Error receiving document upload');
+        }
+        sendError(res, new ApiError(error.message, 400, 'INVALID_DOCUMENT'), 'Error receiving document upload');
+    });
+};
+
+app.get('/api/sessions/:clientId/knowledge', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        res.json({ success: true, documents: await whatsappManager.knowledgeBase.listDocuments(clientId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing knowledge documents');
+    }
 });
 
-// Middleware
-app.use(helmet({
-    contentSecurityPolicy: false,
-    crossOriginEmbedderPolicy: false
-}));
+// Upload a Markdown, CSV or plain-text document. Multipart: file plus title and format fields;
+// text/plain: the document as the body with ?title=&format=; JSON: { title, filename, format, content }
+app.post('/api/sessions/:clientId/knowledge',
+    requireScope('sessions:write'),
+    parseKnowledgeUpload,
+    express.text({ type: ['text/plain', 'text/markdown', 'text/csv'], limit: config.knowledge.maxDocumentSize }),
+    async (req, res) => {
+        try {
+            const { clientId } = req.params;
+            await authorizeSession(req.principal, clientId);
 
-app.use(cors({
-    origin: process.env.FRONTEND_URL || "http://localhost:3000",
-    credentials: true
-}));
+            let document;
+            if (req.file) {
+                document = {
+                    ...req.body,
+                    filename: req.file.originalname,
+                    mimetype: req.file.mimetype,
+                    content: req.file.buffer.toString('utf8')
+                };
+            } else if (typeof req.body === 'string') {
+                document = { ...req.query, mimetype: req.get('content-type'), content: req.body };
+            } else {
+                document = req.body || {};
+            }
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+            const created = await whatsappManager.knowledgeBase.addDocument(clientId, {
+                title: document.title,
+                filename: document.filename,
+                format: document.format,
+                mimetype: document.mimetype,
+                content: document.content
+            });
+            res.status(201).json({ success: true, document: created });
+            
+        } catch (error) {
+            sendError(res, error, 'Error adding knowledge document');
+        }
+    }
+);
 
-// Global instances
-const whatsappManager = new WhatsAppManager(io);
-const sessionStore = new SessionStore();
+// Passages the bot would use for a message. Body: { query, limit }
+app.post('/api/sessions/:clientId/knowledge/search', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { query, limit } = req.body || {};
+        await authorizeSession(req.principal, clientId);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'healthy', 
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        sessions: whatsappManager.getActiveSessions().length
-    });
+        if (typeof query !== 'string' || !query.trim()) {
+            throw new ApiError('query is required', 400, 'INVALID_QUERY');
+        }
+
+        const options = limit === undefined ? {} : { limit: parsePagination({ limit }, { maxLimit: 20 }).limit };
+        const passages = await whatsappManager.knowledgeBase.search(clientId, query, options);
+        res.json({ success: true, passages });
+        
+    } catch (error) {
+        sendError(res, error, 'Error searching knowledge base');
+    }
 });
 
-// Get all sessions
-app.get('/api/sessions', (req, res) => {
+// A document with its indexed chunks
+app.get('/api/sessions/:clientId/knowledge/:documentId', requireScope('sessions:read'), async (req, res) => {
     try {
-        const sessions = whatsappManager.getActiveSessions();
-        res.json({ success: true, sessions });
+        const { clientId, documentId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        res.json({ success: true, document: await whatsappManager.knowledgeBase.getDocument(clientId, documentId) });
+        
     } catch (error) {
-        logger.error('Error fetching sessions:', error);
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error, 'Error fetching knowledge document');
     }
 });
 
-// Create new session
-app.post('/api/sessions', async (req, res) => {
+app.delete('/api/sessions/:clientId/knowledge/:documentId', requireScope('sessions:write'), async (req, res) => {
     try {
-        const { clientId } = req.body;
+        const { clientId, documentId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const document = await whatsappManager.knowledgeBase.deleteDocument(clientId, documentId);
+        res.json({ success: true, document });
         
-        if (!clientId) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'clientId is required' 
-            });
+    } catch (error) {
+        sendError(res, error, 'Error deleting knowledge document');
+    }
+});
+
+// Auto-reply rules of a session, in the order they are evaluated
+app.get('/api/sessions/:clientId/auto-replies', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.autoResponder.ready;
+        res.json({ success: true, rules: whatsappManager.autoResponder.listRules(clientId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error listing auto-reply rules');
+    }
+});
+
+// Body: { name, matchType: exact|contains|word|regex, pattern, caseSensitive, priority, enabled,
+//   timeWindow: { start, end, days, timezone }, cooldownSeconds,
+//   action: { type: text|media|handoff, text, media: { data, mimetype, filename } | { path } | { id } } }
+app.post('/api/sessions/:clientId/auto-replies', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const rule = await whatsappManager.autoResponder.createRule(clientId, req.body || {});
+        res.status(201).json({ success: true, rule });
+        
+    } catch (error) {
+        sendError(res, error, 'Error creating auto-reply rule');
+    }
+});
+
+// Which rule would answer a message, without sending anything. Body: { message, from }
+app.post('/api/sessions/:clientId/auto-replies/test', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { message, from = null } = req.body || {};
+        await authorizeSession(req.principal, clientId);
+
+        if (typeof message !== 'string' || !message) {
+            throw new ApiError('message is required', 400, 'INVALID_MESSAGE');
         }
 
-        const result = await whatsappManager.createSession(clientId);
-        res.json({ success: true, session: result });
+        await whatsappManager.autoResponder.ready;
+        const contactId = from && !from.includes('@') ? `${from}@c.us` : from;
+        const match = await whatsappManager.autoResponder.findMatch(clientId, message, { contactId });
+        res.json({ success: true, matched: Boolean(match), rule: match ? match.rule : null, coolingDown: match ? match.coolingDown : false });
         
     } catch (error) {
-        logger.error('Error creating session:', error);
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error, 'Error testing auto-reply rules');
     }
 });
 
-// Delete session
-app.delete('/api/sessions/:clientId', async (req, res) => {
+// Rules that fired, newest first. Query: ruleId, limit, offset
+app.get('/api/sessions/:clientId/auto-replies/log', requireScope('sessions:read'), async (req, res) => {
     try {
         const { clientId } = req.params;
-        await whatsappManager.destroySession(clientId);
-        res.json({ success: true, message: 'Session deleted' });
+        const pagination = parsePagination(req.query);
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.autoResponder.ready;
+        const matches = whatsappManager.autoResponder.listMatches(clientId, { ruleId: req.query.ruleId || null });
+        const { items, pagination: page } = paginate(matches, pagination);
+        res.json({ success: true, matches: items, pagination: page });
         
     } catch (error) {
-        logger.error('Error deleting session:', error);
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error, 'Error fetching auto-reply log');
     }
 });
 
-// Send message endpoint
-app.post('/api/send-message', async (req, res) => {
+app.get('/api/sessions/:clientId/auto-replies/:ruleId', requireScope('sessions:read'), async (req, res) => {
     try {
-        const { clientId, to, message } = req.body;
+        const { clientId, ruleId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.autoResponder.ready;
+        res.json({ success: true, rule: whatsappManager.autoResponder.getRule(clientId, ruleId) });
         
-        if (!clientId || !to || !message) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'clientId, to, and message are required' 
-            });
-        }
+    } catch (error) {
+        sendError(res, error, 'Error fetching auto-reply rule');
+    }
+});
 
-        const result = await whatsappManager.sendMessage(clientId, to, message);
-        res.json({ success: true, result });
+// Same body as creation; omitted fields keep their value
+app.put('/api/sessions/:clientId/auto-replies/:ruleId', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId, ruleId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const rule = await whatsappManager.autoResponder.updateRule(clientId, ruleId, req.body || {});
+        res.json({ success: true, rule });
         
     } catch (error) {
-        logger.error('Error sending message:', error);
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error, 'Error updating auto-reply rule');
     }
 });
 
-// Get conversation history
-app.get('/api/history/:sessionId/:chatId', async (req, res) => {
+app.delete('/api/sessions/:clientId/auto-replies/:ruleId', requireScope('sessions:write'), async (req, res) => {
     try {
-        const { sessionId, chatId } = req.params;
-        const { limit = 50 } = req.query;
+        const { clientId, ruleId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const rule = await whatsappManager.autoResponder.deleteRule(clientId, ruleId);
+        res.json({ success: true, rule });
         
-        const history = await sessionStore.getConversationHistory(
-            sessionId, 
-            chatId, 
-            parseInt(limit)
-        );
+    } catch (error) {
+        sendError(res, error, 'Error deleting auto-reply rule');
+    }
+});
+
+// Group chats with their own settings; all other groups use the defaults
+app.get('/api/sessions/:clientId/groups', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const groupSettings = whatsappManager.groupSettings;
+        await groupSettings.ready;
+        res.json({ success: true, defaults: groupSettings.defaults, groups: groupSettings.list(clientId) });
         
-        res.json({ success: true, history });
+    } catch (error) {
+        sendError(res, error, 'Error fetching group settings');
+    }
+});
+
+app.get('/api/sessions/:clientId/groups/:groupId/settings', requireScope('sessions:read'), async (req, res) => {
+    try {
+        const { clientId, groupId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        await whatsappManager.groupSettings.ready;
+        res.json({ success: true, settings: whatsappManager.groupSettings.get(clientId, groupId) });
+        
+    } catch (error) {
+        sendError(res, error, 'Error fetching group settings');
+    }
+});
+
+// Body: { enabled, replyMode: mention|all|off, persona, rateLimitPerMinute }; omitted fields keep their value
+app.put('/api/sessions/:clientId/groups/:groupId/settings', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId, groupId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const settings = await whatsappManager.groupSettings.update(clientId, groupId, req.body || {});
+        res.json({ success: true, settings });
+        
+    } catch (error) {
+        sendError(res, error, 'Error updating group settings');
+    }
+});
+
+app.delete('/api/sessions/:clientId/groups/:groupId/settings', requireScope('sessions:write'), async (req, res) => {
+    try {
+        const { clientId, groupId } = req.params;
+        await authorizeSession(req.principal, clientId);
+
+        const settings = await whatsappManager.groupSettings.remove(clientId, groupId);
+        res.json({ success: true, settings });
         
     } catch (error) {
-        logger.error('Error fetching history:', error);
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error, 'Error resetting group settings');
     }
 });
 
+app.get('/api/admin/retention', requireSystemAdmin, (req, res) => {
+    const retentionService = whatsappManager.retentionService;
+    res.json({
+        success: true,
+        enabled: retentionService.enabled,
+        intervalMs: retentionService.interval,
+        defaultRetentionDays: retentionService.defaultRetentionDays,
+        logRetentionDays: retentionService.logRetentionDays,
+        mediaRetentionDays: config.media.retentionDays,
+        policies: retentionService.policies,
+        reports: retentionService.listReports()
+    });
+});
+
+// Run retention now. Body: { dryRun } - a dry run reports without deleting
+app.post('/api/admin/retention/run', requireSystemAdmin, async (req, res) => {
+    try {
+        const dryRun = Boolean((req.body || {}).dryRun);
+        const report = await whatsappManager.retentionService.run({ dryRun, trigger: 'manual' });
+        res.json({ success: true, report });
+        
+    } catch (error) {
+        sendError(res, error, 'Error running retention');
+    }
+});
+
+// Mock driver helpers for local development and CI (MOCK_WHATSAPP=true only)
+if (getDriverName() === 'mock') {
+    logger.warn('MOCK_WHATSAPP enabled: sessions use the in-process mock client');
+
+    // Deliver a fake inbound message to a mock session
+    app.post('/api/mock/:clientId/incoming', requireScope('sessions:write'), async (req, res) => {
+        try {
+            const { clientId } = req.params;
+            // media: { data (base64), mimetype, filename } simulates an attachment; type: 'ptt' makes it a voice note.
+            // For groups (from = ...@g.us): author is the participant, mentionBot @-mentions the bot, quoteBot replies to one of its messages
+            const { from, message = '', media, type, author, mentionBot = false, quoteBot = false } = req.body;
+
+            if (!from || (!message && !media)) {
+                throw new ApiError('from and message or media are required', 400, 'INVALID_MESSAGE');
+            }
+
+            await authorizeSession(req.principal, clientId);
+
+            const client = whatsappManager.clients.get(clientId);
+            if (!client) {
+                throw new ApiError(`Session ${clientId} not found`, 404, 'SESSION_NOT_FOUND');
+            }
+
+            const extra = media ? {
+                hasMedia: true,
+                type: type || mediaType(String(media.mimetype || 'application/octet-stream')),
+                media: { mimetype: media.mimetype, data: media.data, filename: media.filename || null }
+            } : {};
+            if (author) {
+                extra.author = author.includes('@') ? author : `${author}@c.us`;
+            }
+
+            let body = message;
+            if (mentionBot) {
+                extra.mentionedIds = [client.ownId()];
+                body = `@${client.ownId().split('@')[0]} ${message}`.trim();
+            }
+            if (quoteBot) {
+                extra.quotedMessage = client.buildMessage({ from: client.ownId(), to: from, body: 'Earlier bot message', fromMe: true });
+            }
+
+            const delivered = client.simulateIncomingMessage(from, body, extra);
+            res.json({ success: true, messageId: delivered.id._serialized });
+            
+        } catch (error) {
+            sendError(res, error, 'Error simulating incoming message');
+        }
+    });
+
+    // Simulate the owner replying from their phone, which hands the chat to the human
+    app.post('/api/mock/:clientId/manual-reply', requireScope('sessions:write'), async (req, res) => {
+        try {
+            const { clientId } = req.params;
+            const { to, message } = req.body;
+
+            if (!to || !message) {
+                throw new ApiError('to and message are required', 400, 'INVALID_MESSAGE');
+            }
+
+            await authorizeSession(req.principal, clientId);
+
+            const client = whatsappManager.clients.get(clientId);
+            if (!client) {
+                throw new ApiError(`Session ${clientId} not found`, 404, 'SESSION_NOT_FOUND');
+            }
+
+            const delivered = client.simulateManualReply(to, message);
+            res.json({ success: true, messageId: delivered.id._serialized });
+            
+        } catch (error) {
+            sendError(res, error, 'Error simulating manual reply');
+        }
+    });
+
+    // Outgoing messages recorded by a mock session
+    app.get('/api/mock/:clientId/sent', requireScope('sessions:read'), async (req, res) => {
+        try {
+            const { clientId } = req.params;
+            await authorizeSession(req.principal, clientId);
+
+            const client = whatsappManager.clients.get(clientId);
+            if (!client) {
+                throw new ApiError(`Session ${clientId} not found`, 404, 'SESSION_NOT_FOUND');
+            }
+
+            const sent = client.getSentMessages().map(({ chatId, content, options, sentAt }) => ({
+                chatId,
+                message: typeof content === 'string' ? content : (options.caption || '[media]'),
+                ...(typeof content !== 'string' && content && {
+                    media: { mimetype: content.mimetype, filename: content.filename, size: content.filesize }
+                }),
+                sentAt
+            }));
+            res.json({ success: true, sent });
+            
+        } catch (error) {
+            sendError(res, error, 'Error reading mock sent messages');
+        }
+    });
+}
+
+// API key management
+app.get('/api/auth/me', requireScope(), (req, res) => {
+    res.json({ success: true, principal: req.principal });
+});
+
+app.get('/api/auth/keys', requireScope('admin'), (req, res) => {
+    res.json({ success: true, keys: authService.listApiKeys(req.principal) });
+});
+
+app.post('/api/auth/keys', requireScope('admin'), async (req, res) => {
+    try {
+        const { name, role, scopes, tenantId } = req.body;
+        const result = await authService.createApiKey({
+            name,
+            role,
+            scopes,
+            // Tenant admins can only issue keys for their own tenant
+            tenantId: req.principal.tenantId || tenantId || null
+        });
+        res.status(201).json({ success: true, ...result });
+        
+    } catch (error) {
+        sendError(res, error, 'Error creating API key');
+    }
+});
+
+app.delete('/api/auth/keys/:id', requireScope('admin'), async (req, res) => {
+    try {
+        const revoked = await authService.revokeApiKey(req.params.id, req.principal);
+        if (!revoked) {
+            throw new ApiError('API key not found', 404, 'API_KEY_NOT_FOUND');
+        }
+        res.json({ success: true, message: 'API key revoked' });
+        
+    } catch (error) {
+        sendError(res, error, 'Error revoking API key');
+    }
+});
+
+// Authenticate every socket during the handshake
+io.use(authService.socketMiddleware());
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-    logger.info(`Client connected: ${socket.id}`);
+    logger.info(`Client connected: ${socket.id} (${socket.data.principal.id}, tenant ${socket.data.principal.tenantId || '*'})`);
+
+    const { principal } = socket.data;
+
+    // System admins receive system-wide events such as retention reports
+    if (authService.hasScope(principal, 'admin') && principal.tenantId === null) {
+        socket.join('admins');
+    }
+
+    // Emit errors with the same shape as REST responses
+    const emitSocketError = (error) => {
+        socket.emit('error', error instanceof ApiError
+            ? { message: error.message, code: error.code, status: error.status, details: error.details || undefined }
+            : { message: error.message });
+    };
+
+    // Check a scope for this socket
+    const authorizeSocket = (scope) => {
+        try {
+            authService.authorize(principal, scope);
+            return true;
+        } catch (error) {
+            emitSocketError(error);
+            return false;
+        }
+    };
     
     // Join client to their room
-    socket.on('join_room', (data) => {
-        const { clientId } = data;
-        if (clientId) {
-            socket.join(`session_${clientId}`);
-            logger.info(`Client ${socket.id} joined room: session_${clientId}`);
+    socket.on('join_room', async (data) => {
+        if (!authorizeSocket('sessions:read')) return;
+        try {
+            const { clientId } = data;
+            if (clientId) {
+                await authorizeSession(principal, clientId);
+                socket.join(`session_${clientId}`);
+                logger.info(`Client ${socket.id} joined room: session_${clientId}`);
+            }
+        } catch (error) {
+            emitSocketError(error);
         }
     });
 
     // Create session event
     socket.on('create_session', async (data) => {
+        if (!authorizeSocket('sessions:write')) return;
         try {
-            const { clientId } = data;
+            const { clientId, tenantId, queue = false } = data;
             
             if (!clientId) {
                 socket.emit('error', { message: 'clientId is required' });
                 return;
             }
+            if (!isValidClientId(clientId)) {
+                throw new ApiError(INVALID_CLIENT_ID_MESSAGE, 400, 'INVALID_CLIENT_ID');
+            }
+
+            await authorizeSession(principal, clientId, { allowUnknown: true });
 
             // Join socket to session room first
             socket.join(`session_${clientId}`);
             
             // Create WhatsApp session
-            const result = await whatsappManager.createSession(clientId);
+            const result = await whatsappManager.createSession(clientId, {
+                tenantId: resolveTenant(principal, tenantId),
+                queue: Boolean(queue)
+            });
             
             socket.emit('session_created', { 
                 clientId, 
-                status: 'created',
+                status: result.status === 'queued' ? 'queued' : 'created',
+                position: result.position,
                 timestamp: new Date().toISOString()
             });
             
         } catch (error) {
             logger.error('Error in create_session:', error);
-            socket.emit('error', { message: error.message });
+            emitSocketError(error);
         }
     });
 
     // Refresh QR code
     socket.on('refresh_qr', async (data) => {
+        if (!authorizeSocket('sessions:write')) return;
         try {
             const { clientId } = data;
+            await authorizeSession(principal, clientId);
             await whatsappManager.refreshQR(clientId);
         } catch (error) {
             logger.error('Error refreshing QR:', error);
-            socket.emit('error', { message: error.message });
+            emitSocketError(error);
         }
     });
 
     // Send message via socket
     socket.on('send_message', async (data) => {
+        if (!authorizeSocket('messages:send')) return;
         try {
             const { clientId, to, message } = data;
             
@@ -201,6 +1750,8 @@ io.on('connection', (socket) => {
                 return;
             }
 
+            await authorizeSession(principal, clientId);
+
             const result = await whatsappManager.sendMessage(clientId, to, message);
             socket.emit('message_sent', { 
                 to, 
@@ -211,19 +1762,107 @@ io.on('connection', (socket) => {
             
         } catch (error) {
             logger.error('Error sending message via socket:', error);
-            socket.emit('error', { message: error.message });
+            emitSocketError(error);
+        }
+    });
+
+    // Send media: { clientId, to, caption, asDocument, media: { data (base64), mimetype, filename } }
+    socket.on('send_media', async (data) => {
+        if (!authorizeSocket('messages:send')) return;
+        try {
+            const { clientId, to, caption = '', asDocument = false, media } = data || {};
+
+            if (!clientId || !to || !media) {
+                socket.emit('error', { message: 'Missing required fields' });
+                return;
+            }
+
+            await authorizeSession(principal, clientId);
+
+            // Local paths are a REST-only feature
+            const input = await whatsappManager.mediaStore.readInput({ data: media.data, mimetype: media.mimetype, filename: media.filename });
+            const result = await whatsappManager.sendMediaMessage(clientId, to, { ...input, caption, asDocument });
+            socket.emit('media_sent', {
+                to,
+                caption,
+                result,
+                timestamp: new Date().toISOString()
+            });
+            
+        } catch (error) {
+            logger.error('Error sending media via socket:', error);
+            emitSocketError(error);
+        }
+    });
+
+    // An agent started or stopped typing in the inbox: { clientId, chatId, typing }
+    socket.on('agent_typing', async (data) => {
+        if (!authorizeSocket('messages:send')) return;
+        try {
+            const { clientId, chatId, typing = true } = data || {};
+
+            if (!clientId || !chatId) {
+                socket.emit('error', { message: 'Missing required fields' });
+                return;
+            }
+
+            await authorizeSession(principal, clientId);
+
+            // Other operators see who is typing; the contact sees the usual indicator
+            socket.to(`session_${clientId}`).emit('agent_typing', {
+                clientId,
+                chatId,
+                agentId: principal.id,
+                agentName: principal.name,
+                typing: Boolean(typing),
+                timestamp: new Date().toISOString()
+            });
+            await whatsappManager.setAgentTyping(clientId, chatId, Boolean(typing));
+            
+        } catch (error) {
+            logger.error('Error relaying agent typing:', error);
+            emitSocketError(error);
+        }
+    });
+
+    // Pause, hand off or resume the bot in one chat: { clientId, chatId, state, durationMs }
+    socket.on('set_bot_state', async (data) => {
+        if (!authorizeSocket('sessions:write')) return;
+        try {
+            const { clientId, chatId, state, durationMs = null } = data || {};
+
+            if (!clientId || !chatId || !state) {
+                socket.emit('error', { message: 'Missing required fields' });
+                return;
+            }
+
+            await authorizeSession(principal, clientId);
+
+            // chat_state_changed reaches every socket in the session room, this one included
+            await whatsappManager.chatStates.set(clientId, chatId, {
+                state,
+                durationMs,
+                reason: 'operator',
+                by: principal.id
+            });
+            
+        } catch (error) {
+            logger.error('Error setting bot state via socket:', error);
+            emitSocketError(error);
         }
     });
 
     // Disconnect session
     socket.on('disconnect_session', async (data) => {
+        if (!authorizeSocket('sessions:write')) return;
         try {
             const { clientId } = data;
+            await authorizeSession(principal, clientId);
             await whatsappManager.destroySession(clientId);
             socket.emit('session_disconnected', { clientId });
         } catch (error) {
             logger.error('Error disconnecting session:', error);
-            socket.emit('error', { message: error.message });
+            emitSocketError(error);
         }
     });
 
@@ -248,7 +1887,13 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down gracefully...');
     
-    // Close all WhatsApp sessions
+    // Stop scheduled and campaign sends, save the auto-reply log, then close all WhatsApp sessions
+    whatsappManager.scheduler.stopAll();
+    whatsappManager.campaignService.stopAll();
+    whatsappManager.chatStates.stopAll();
+    await whatsappManager.autoResponder.flushMatches().catch(error => {
+        logger.error('Error saving auto-reply matches:', error);
+    });
     await whatsappManager.destroyAllSessions();
     
     // Close server
@@ -261,7 +1906,13 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
     logger.info('SIGINT received, shutting down gracefully...');
     
-    // Close all WhatsApp sessions
+    // Stop scheduled and campaign sends, save the auto-reply log, then close all WhatsApp sessions
+    whatsappManager.scheduler.stopAll();
+    whatsappManager.campaignService.stopAll();
+    whatsappManager.chatStates.stopAll();
+    await whatsappManager.autoResponder.flushMatches().catch(error => {
+        logger.error('Error saving auto-reply matches:', error);
+    });
     await whatsappManager.destroyAllSessions();
     
     // Close server
@@ -272,11 +1923,11 @@ process.on('SIGINT', async () => {
 });
 
 // Start server
-const PORT = process.env.PORT || 10000;
+const PORT = config.server.port;
 
 server.listen(PORT, '0.0.0.0', () => {
     logger.info(`🚀 Server running on port ${PORT}`);
-    logger.info(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+    logger.info(`🌐 Frontend URL: ${config.server.frontendUrl}`);
     logger.info(`📱 WhatsApp Bot Backend Started Successfully`);
     
     // Initialize existing sessions on startup
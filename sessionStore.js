@@ -1,13 +1,15 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { logger } = require('./utils');
+const { config } = require('./config');
+const { logger, ApiError } = require('./utils');
+const { EXPORT_FORMATS, matchesFilters, toCsv, toHtml, toWhatsAppText } = require('./conversationExport');
 
 class SessionStore {
     constructor() {
         this.dataDir = path.join(__dirname, 'data', 'sessions');
         this.conversationsDir = path.join(__dirname, 'data', 'conversations');
-        this.maxMessagesPerChat = 100;
-        this.maxSessionAge = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+        this.maxMessagesPerChat = config.storage.maxMessagesPerChat;
+        this.maxSessionAge = config.storage.dataRetentionDays * 24 * 60 * 60 * 1000; // days to milliseconds
         
         this.initializeDirectories();
     }
@@ -133,6 +135,41 @@ class SessionStore {
         }
     }
 
+    // Merge a batch of messages (e.g. an imported chat) into a conversation, skipping IDs already stored
+    async importMessages(sessionId, chatId, messages) {
+        try {
+            const conversationFile = this.getConversationFilePath(sessionId, chatId);
+            const conversation = await this.loadConversation(sessionId, chatId);
+
+            const existingIds = new Set(conversation.messages.map(message => message.id));
+            const added = messages
+                .filter(message => !existingIds.has(message.id))
+                .map(message => ({ ...message, savedAt: new Date() }));
+
+            if (added.length > 0) {
+                conversation.messages = conversation.messages
+                    .concat(added)
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+                const trimmed = Math.max(conversation.messages.length - this.maxMessagesPerChat, 0);
+                conversation.messages = conversation.messages.slice(trimmed);
+
+                conversation.lastMessage = conversation.messages[conversation.messages.length - 1];
+                conversation.lastUpdated = new Date();
+                conversation.messageCount = conversation.messages.length;
+
+                await fs.writeFile(conversationFile, JSON.stringify(conversation, null, 2));
+
+                return { imported: added.length, duplicates: messages.length - added.length, trimmed, total: conversation.messageCount };
+            }
+
+            return { imported: 0, duplicates: messages.length, trimmed: 0, total: conversation.messages.length };
+        } catch (error) {
+            logger.error(`Error importing messages for ${sessionId}/${chatId}:`, error);
+            throw error;
+        }
+    }
+
     async getConversationHistory(sessionId, chatId, limit = 50) {
         try {
             const conversation = await this.loadConversation(sessionId, chatId);
@@ -191,32 +228,43 @@ class SessionStore {
         return path.join(this.conversationsDir, `${sessionId}_${sanitizedChatId}.json`);
     }
 
+    /**
+     * Conversation files of a session. File names are only a first filter: session
+     * "acme" would also match "acme_shop_..." files, so each file's stored
+     * sessionId decides whether it belongs to the session.
+     * @returns {Promise<Array>} - [{ file, conversation }]
+     */
+    async readSessionConversations(sessionId) {
+        const files = await fs.readdir(this.conversationsDir);
+        const candidates = files.filter(file => 
+            file.startsWith(`${sessionId}_`) && file.endsWith('.json')
+        );
+
+        const results = [];
+        for (const file of candidates) {
+            try {
+                const data = await fs.readFile(path.join(this.conversationsDir, file), 'utf8');
+                const conversation = JSON.parse(data);
+                if (conversation.sessionId === sessionId) {
+                    results.push({ file, conversation });
+                }
+            } catch (error) {
+                logger.warn(`Error reading conversation file ${file}:`, error);
+            }
+        }
+        return results;
+    }
+
     // Get all conversations for a session
     async getSessionConversations(sessionId) {
         try {
-            const files = await fs.readdir(this.conversationsDir);
-            const sessionFiles = files.filter(file => 
-                file.startsWith(`${sessionId}_`) && file.endsWith('.json')
-            );
-            
-            const conversations = [];
-            for (const file of sessionFiles) {
-                try {
-                    const filePath = path.join(this.conversationsDir, file);
-                    const data = await fs.readFile(filePath, 'utf8');
-                    const conversation = JSON.parse(data);
-                    
-                    // Return summary info only
-                    conversations.push({
-                        chatId: conversation.chatId,
-                        lastMessage: conversation.lastMessage,
-                        lastUpdated: conversation.lastUpdated,
-                        messageCount: conversation.messageCount
-                    });
-                } catch (error) {
-                    logger.warn(`Error reading conversation file ${file}:`, error);
-                }
-            }
+            const conversations = (await this.readSessionConversations(sessionId)).map(({ conversation }) => ({
+                // Return summary info only
+                chatId: conversation.chatId,
+                lastMessage: conversation.lastMessage,
+                lastUpdated: conversation.lastUpdated,
+                messageCount: conversation.messageCount
+            }));
             
             return conversations.sort((a, b) => 
                 new Date(b.lastUpdated) - new Date(a.lastUpdated)
@@ -227,6 +275,15 @@ class SessionStore {
         }
     }
 
+    async conversationExists(sessionId, chatId) {
+        try {
+            await fs.access(this.getConversationFilePath(sessionId, chatId));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
     async deleteConversation(sessionId, chatId) {
         try {
             const conversationFile = this.getConversationFilePath(sessionId, chatId);
@@ -241,10 +298,7 @@ class SessionStore {
 
     async deleteAllConversations(sessionId) {
         try {
-            const files = await fs.readdir(this.conversationsDir);
-            const sessionFiles = files.filter(file => 
-                file.startsWith(`${sessionId}_`) && file.endsWith('.json')
-            );
+            const sessionFiles = (await this.readSessionConversations(sessionId)).map(({ file }) => file);
             
             const deletePromises = sessionFiles.map(file => {
                 const filePath = path.join(this.conversationsDir, file);
@@ -327,47 +381,86 @@ class SessionStore {
         }
     }
 
-    // Cleanup old sessions and conversations
-    async cleanupOldData() {
+    /**
+     * Delete messages stored longer ago than the retention period. Age counts
+     * from when a message was stored, so imported history with old timestamps
+     * gets the full period too. Session metadata is never touched: it records
+     * which tenant owns a session ID, including sessions that are queued or
+     * failed to restore.
+     * @param {Object} options - dryRun; policies: sessionId => retentionDays (0 keeps forever)
+     * @returns {Object} - Counts plus a per-session breakdown of what was (or would be) deleted
+     */
+    async cleanupOldData({ dryRun = false, policies = {} } = {}) {
         try {
-            logger.info('Starting cleanup of old data...');
-            
-            const sessions = await this.getAllSessions();
-            const cutoffDate = new Date(Date.now() - this.maxSessionAge);
-            
-            let cleanedSessions = 0;
+            logger.info(`Starting cleanup of old data${dryRun ? ' (dry run)' : ''}...`);
+
+            const now = Date.now();
+            const retentionFor = (sessionId) => {
+                const days = policies[sessionId];
+                if (days === undefined || days === null) return this.maxSessionAge;
+                return days > 0 ? days * 24 * 60 * 60 * 1000 : null;
+            };
+
+            const bySession = {};
+            const entryFor = (sessionId) => {
+                bySession[sessionId] = bySession[sessionId] || {
+                    deletedConversations: [],
+                    prunedMessages: 0
+                };
+                return bySession[sessionId];
+            };
+
             let cleanedConversations = 0;
-            
-            for (const session of sessions) {
-                const sessionDate = new Date(session.lastUpdated || session.createdAt);
-                
-                if (sessionDate < cutoffDate) {
-                    await this.deleteSession(session.clientId);
-                    cleanedSessions++;
-                }
-            }
-            
-            // Clean up orphaned conversation files
+            let prunedMessages = 0;
+
+            // Prune old messages; a conversation left empty is deleted
             const conversationFiles = await fs.readdir(this.conversationsDir);
             for (const file of conversationFiles) {
+                if (!file.endsWith('.json')) continue;
+
                 try {
                     const filePath = path.join(this.conversationsDir, file);
-                    const stats = await fs.stat(filePath);
-                    
-                    if (stats.mtime < cutoffDate) {
-                        await fs.unlink(filePath);
+                    const conversation = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+                    const retention = retentionFor(conversation.sessionId);
+                    if (retention === null) continue;
+
+                    const cutoffDate = new Date(now - retention);
+                    // Messages without a readable time are kept
+                    const kept = conversation.messages.filter(message => !(new Date(message.savedAt || message.timestamp) < cutoffDate));
+                    const removed = conversation.messages.length - kept.length;
+
+                    if (kept.length === 0 && new Date(conversation.lastUpdated || 0) < cutoffDate) {
+                        if (!dryRun) {
+                            await fs.unlink(filePath);
+                        }
+                        entryFor(conversation.sessionId).deletedConversations.push(conversation.chatId);
+                        entryFor(conversation.sessionId).prunedMessages += removed;
                         cleanedConversations++;
+                        prunedMessages += removed;
+                    } else if (removed > 0) {
+                        if (!dryRun) {
+                            conversation.messages = kept;
+                            conversation.messageCount = kept.length;
+                            // Never keep a copy of a pruned message
+                            conversation.lastMessage = kept.length > 0 ? kept[kept.length - 1] : null;
+                            await fs.writeFile(filePath, JSON.stringify(conversation, null, 2));
+                        }
+                        entryFor(conversation.sessionId).prunedMessages += removed;
+                        prunedMessages += removed;
                     }
                 } catch (error) {
                     logger.warn(`Error cleaning up conversation file ${file}:`, error);
                 }
             }
             
-            logger.info(`Cleanup completed: ${cleanedSessions} sessions, ${cleanedConversations} conversation files`);
+            logger.info(`Cleanup ${dryRun ? 'dry run ' : ''}completed: ${cleanedConversations} conversation files, ${prunedMessages} messages`);
             
             return {
-                cleanedSessions,
+                dryRun,
                 cleanedConversations,
+                prunedMessages,
+                sessions: bySession,
                 completedAt: new Date().toISOString()
             };
         } catch (error) {
@@ -377,32 +470,83 @@ class SessionStore {
     }
 
     // Export conversation data
-    async exportConversationData(sessionId, format = 'json') {
+    // Full (unpaged) conversations of a session with messages narrowed by the export filters
+    async *iterateConversations(sessionId, filters = {}) {
+        const chatIds = filters.chatIds && filters.chatIds.length > 0
+            ? filters.chatIds
+            : (await this.getSessionConversations(sessionId)).map(conv => conv.chatId);
+
+        for (const chatId of chatIds) {
+            if (!await this.conversationExists(sessionId, chatId)) continue;
+
+            const conversation = await this.loadConversation(sessionId, chatId);
+            const messages = conversation.messages
+                .filter(message => matchesFilters(message, filters))
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+            yield { chatId, createdAt: conversation.createdAt, lastUpdated: conversation.lastUpdated, messages };
+        }
+    }
+
+    /**
+     * Export a session's conversations
+     * @param {string} sessionId - Session ID
+     * @param {string} format - json, ndjson, csv, html or txt
+     * @param {Object} filters - Output of parseExportFilters
+     * @returns {string} - Rendered export
+     */
+    async exportConversationData(sessionId, format = 'json', filters = {}) {
         try {
-            const conversations = await this.getSessionConversations(sessionId);
-            const exportData = {
-                sessionId,
-                exportDate: new Date().toISOString(),
-                conversations: []
-            };
-            
-            for (const conv of conversations) {
-                const history = await this.getConversationHistory(sessionId, conv.chatId);
-                exportData.conversations.push(history);
+            if (!EXPORT_FORMATS[format]) {
+                throw new ApiError(`Unsupported export format: ${format}`, 400, 'INVALID_FORMAT', { allowed: Object.keys(EXPORT_FORMATS) });
             }
-            
-            if (format === 'json') {
-                return JSON.stringify(exportData, null, 2);
+
+            if (format === 'ndjson') {
+                let output = '';
+                for await (const line of this.streamConversationData(sessionId, filters)) {
+                    output += line;
+                }
+                return output;
+            }
+
+            const conversations = [];
+            for await (const conversation of this.iterateConversations(sessionId, filters)) {
+                conversations.push(conversation);
+            }
+
+            switch (format) {
+                case 'csv':
+                    return toCsv(conversations);
+                case 'html':
+                    return toHtml(sessionId, conversations, filters);
+                case 'txt':
+                    // The WhatsApp layout has no notion of several chats in one file
+                    if (conversations.length !== 1) {
+                        throw new ApiError('The txt format exports exactly one chat; pass chatId', 400, 'CHAT_REQUIRED');
+                    }
+                    return toWhatsAppText(conversations[0], filters);
+                default:
+                    return JSON.stringify({
+                        sessionId,
+                        exportDate: new Date().toISOString(),
+                        conversations: conversations.map(conv => ({ sessionId, ...conv, totalMessages: conv.messages.length }))
+                    }, null, 2);
             }
-            
-            // Add other formats as needed (CSV, etc.)
-            return exportData;
         } catch (error) {
             logger.error(`Error exporting conversation data for ${sessionId}:`, error);
             throw error;
         }
     }
 
+    // One JSON line per message, read a conversation at a time so large sessions never sit in memory
+    async *streamConversationData(sessionId, filters = {}) {
+        for await (const { chatId, messages } of this.iterateConversations(sessionId, filters)) {
+            for (const message of messages) {
+                yield `${JSON.stringify({ sessionId, chatId, ...message })}\n`;
+            }
+        }
+    }
+
     // Health check
     async healthCheck() {
         try {
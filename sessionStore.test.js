@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SessionStore = require('./sessionStore');
+
+describe('SessionStore session boundaries', () => {
+    let store;
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+        store = new SessionStore();
+        store.dataDir = path.join(tempDir, 'sessions');
+        store.conversationsDir = path.join(tempDir, 'conversations');
+        await store.initializeDirectories();
+
+        // "acme" is a prefix of "acme_shop", so their file names share a prefix too
+        await store.saveMessage('acme', '911111@c.us', { id: 'a1', body: 'hello from acme', fromMe: false, timestamp: new Date() });
+        await store.saveMessage('acme_shop', '919999@c.us', { id: 's1', body: 'hello from acme_shop', fromMe: false, timestamp: new Date() });
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('lists only conversations stored for the session', async () => {
+        const acme = await store.getSessionConversations('acme');
+        const shop = await store.getSessionConversations('acme_shop');
+
+        expect(acme.map(conversation => conversation.chatId)).toEqual(['911111@c.us']);
+        expect(shop.map(conversation => conversation.chatId)).toEqual(['919999@c.us']);
+    });
+
+    test('deleting all conversations of a session leaves the other session alone', async () => {
+        await store.deleteAllConversations('acme');
+
+        expect(await store.getSessionConversations('acme')).toEqual([]);
+        expect(await store.conversationExists('acme_shop', '919999@c.us')).toBe(true);
+    });
+});
+
+describe('SessionStore retention', () => {
+    let store;
+    let tempDir;
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+        store = new SessionStore();
+        store.dataDir = path.join(tempDir, 'sessions');
+        store.conversationsDir = path.join(tempDir, 'conversations');
+        store.maxSessionAge = 7 * 24 * 60 * 60 * 1000;
+        await store.initializeDirectories();
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('keeps freshly imported history even when its timestamps are old', async () => {
+        await store.importMessages('acme', '911111@c.us', [
+            { id: 'import_1', body: 'from last year', fromMe: false, timestamp: daysAgo(365), imported: true }
+        ]);
+
+        const result = await store.cleanupOldData();
+
+        expect(result.prunedMessages).toBe(0);
+        const conversation = await store.loadConversation('acme', '911111@c.us');
+        expect(conversation.messages.map(message => message.id)).toEqual(['import_1']);
+    });
+
+    test('clears lastMessage when every message is pruned', async () => {
+        await store.saveMessage('acme', '911111@c.us', { id: 'a1', body: 'secret', fromMe: false, timestamp: daysAgo(30) });
+        const filePath = store.getConversationFilePath('acme', '911111@c.us');
+        const conversation = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        conversation.messages[0].savedAt = daysAgo(30);
+        await fs.writeFile(filePath, JSON.stringify(conversation));
+
+        const result = await store.cleanupOldData();
+
+        expect(result.prunedMessages).toBe(1);
+        const pruned = await store.loadConversation('acme', '911111@c.us');
+        expect(pruned.messages).toEqual([]);
+        expect(pruned.lastMessage).toBeNull();
+    });
+});
+
+describe('SessionStore export', () => {
+    let store;
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+        store = new SessionStore();
+        store.dataDir = path.join(tempDir, 'sessions');
+        store.conversationsDir = path.join(tempDir, 'conversations');
+        await store.initializeDirectories();
+
+        await store.saveMessage('acme', '911111@c.us', {
+            id: 'm1', body: 'Price, please?\n"Urgent"', from: '911111@c.us', to: 'me@c.us', type: 'chat', fromMe: false,
+            timestamp: new Date('2026-10-19T10:00:00Z')
+        });
+        await store.saveMessage('acme', '911111@c.us', {
+            id: 'm2', body: '=SUM(A1)', from: 'me@c.us', to: '911111@c.us', type: 'chat', fromMe: true, aiGenerated: true,
+            timestamp: new Date('2026-10-19T10:01:00Z')
+        });
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('csv quotes cells with commas, quotes and line breaks and defuses formulas', async () => {
+        const csv = await store.exportConversationData('acme', 'csv');
+
+        expect(csv.split('\r\n')).toEqual([
+            'chatId,id,timestamp,direction,from,to,type,aiGenerated,body',
+            '911111@c.us,m1,2026-10-19T10:00:00.000Z,incoming,911111@c.us,me@c.us,chat,false,"Price, please?\n""Urgent"""',
+            '911111@c.us,m2,2026-10-19T10:01:00.000Z,outgoing,me@c.us,911111@c.us,chat,true,\'=SUM(A1)',
+            ''
+        ]);
+    });
+
+    test('ndjson writes one message per line and applies the filters', async () => {
+        const lines = [];
+        for await (const line of store.streamConversationData('acme', { source: 'human' })) {
+            lines.push(line);
+        }
+
+        expect(lines).toHaveLength(1);
+        expect(lines[0].endsWith('\n')).toBe(true);
+        expect(JSON.parse(lines[0])).toMatchObject({ sessionId: 'acme', chatId: '911111@c.us', id: 'm1' });
+        expect(await store.exportConversationData('acme', 'ndjson', { source: 'human' })).toBe(lines.join(''));
+    });
+});
@@ -0,0 +1,99 @@
+const { execFile } = require('child_process');
+const { config } = require('./config');
+const { logger } = require('./utils');
+
+// Message types that carry speech
+const VOICE_TYPES = ['ptt', 'audio'];
+
+/**
+ * Runs a local speech-to-text program (for example a whisper.cpp wrapper) on
+ * the stored audio file and reads the transcript from its stdout.
+ * Arguments may use {file}, {language} and {mimetype} placeholders.
+ */
+class LocalCommandTranscriber {
+    constructor({ command, args, timeout }) {
+        if (!command) {
+            throw new Error('TRANSCRIPTION_COMMAND is required for the local transcription backend');
+        }
+        this.name = 'local';
+        this.command = command;
+        this.args = args;
+        this.timeout = timeout;
+    }
+
+    transcribe({ filePath, language, mimetype }) {
+        const args = this.args.map(arg => String(arg)
+            .replace(/\{file\}/g, filePath)
+            .replace(/\{language\}/g, language)
+            .replace(/\{mimetype\}/g, mimetype));
+
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, { timeout: this.timeout, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    const reason = error.killed ? `timed out after ${this.timeout}ms` : (stderr.trim() || error.message);
+                    reject(new Error(`Transcription command failed: ${reason}`));
+                    return;
+                }
+                resolve({ text: stdout.trim(), language });
+            });
+        });
+    }
+}
+
+// Fixed transcript for development and tests; never touches the audio
+class StubTranscriber {
+    constructor({ text }) {
+        this.name = 'stub';
+        this.text = text;
+    }
+
+    async transcribe({ language }) {
+        return { text: this.text, language };
+    }
+}
+
+// Backend factories: (options) => transcriber exposing name and transcribe({ filePath, mimetype, language })
+const backends = new Map();
+
+backends.set('local', () => new LocalCommandTranscriber({
+    command: config.transcription.command,
+    args: config.transcription.args,
+    timeout: config.transcription.timeout
+}));
+
+backends.set('stub', () => new StubTranscriber({ text: config.transcription.stubText }));
+
+/**
+ * Register an additional transcription backend
+ * @param {string} name - Backend name, selected with TRANSCRIPTION_BACKEND
+ * @param {Function} factory - () => transcriber
+ */
+function registerTranscriber(name, factory) {
+    backends.set(name, factory);
+}
+
+/**
+ * Create the configured transcriber
+ * @returns {Object|null} - Transcriber, or null when transcription is off
+ */
+function createTranscriber(name = config.transcription.backend) {
+    if (!name || name === 'none') {
+        return null;
+    }
+
+    const factory = backends.get(name);
+    if (!factory) {
+        throw new Error(`Unknown transcription backend: ${name}`);
+    }
+
+    logger.info(`Voice note transcription enabled (${name})`);
+    return factory();
+}
+
+module.exports = {
+    VOICE_TYPES,
+    createTranscriber,
+    registerTranscriber,
+    LocalCommandTranscriber,
+    StubTranscriber
+};
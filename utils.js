@@ -196,6 +196,33 @@ function generateSessionId(prefix = 'session') {
     return `${prefix}_${timestamp}_${randomStr}`;
 }
 
+// Session IDs end up in file names, headers and room names, so only plain characters are allowed
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+/**
+ * Check a session (client) ID before a session is created
+ * @param {string} clientId - Requested session ID
+ * @returns {boolean} - Whether the ID is 1 to 64 letters, digits or hyphens
+ */
+function isValidClientId(clientId) {
+    return typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId);
+}
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Promise to race
+ * @param {number} ms - Timeout in ms
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} - Promise that settles with the original result or a timeout error
+ */
+function withTimeout(promise, ms, message = `Operation timed out after ${ms}ms`) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Retry function with exponential backoff
  * @param {Function} fn - Function to retry
@@ -427,17 +454,171 @@ function safeJsonParse(str, defaultValue = null) {
     }
 }
 
+/**
+ * Read a JSON file
+ * @param {string} file - File path
+ * @param {any} defaultValue - Returned when the file does not exist yet
+ * @returns {Promise<any>} - Parsed contents; rejects on any other read or parse error
+ */
+async function readJson(file, defaultValue) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return defaultValue;
+        throw error;
+    }
+}
+
+// File path => the last write queued for it
+const jsonWrites = new Map();
+
+/**
+ * Write a value to a JSON file, creating its directory. Writes to the same
+ * file are queued so they never interleave, and go through a temporary file
+ * so a crash never leaves a half-written one. The value is serialized
+ * straight away; later changes to it need another write.
+ * @param {string} file - File path
+ * @param {any} data - Value to store
+ * @returns {Promise} - Rejects when the write fails
+ */
+function writeJson(file, data) {
+    const body = JSON.stringify(data, null, 2);
+    const write = (jsonWrites.get(file) || Promise.resolve()).catch(() => {}).then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.${process.pid}.tmp`;
+        try {
+            await fs.promises.writeFile(tempFile, body);
+            await fs.promises.rename(tempFile, file);
+        } catch (error) {
+            await fs.promises.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+    });
+
+    jsonWrites.set(file, write);
+    write.catch(() => {}).then(() => {
+        if (jsonWrites.get(file) === write) jsonWrites.delete(file);
+    });
+    return write;
+}
+
+/**
+ * Error carrying an HTTP status and a machine-readable code for API responses
+ */
+class ApiError extends Error {
+    constructor(message, status = 500, code = 'INTERNAL_ERROR', details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Minimal CSV reader: header row, quoted fields, "" escapes
+ * @param {string} text - CSV text
+ * @returns {Array} - One object per row, keyed by the header's column names
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return records.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+}
+
+/**
+ * Parse limit/offset query parameters
+ * @param {Object} query - Request query object
+ * @param {Object} options - defaultLimit and maxLimit
+ * @returns {Object} - { limit, offset }
+ * @throws {ApiError} - When a value is not a valid non-negative integer
+ */
+function parsePagination(query = {}, { defaultLimit = 20, maxLimit = 100 } = {}) {
+    const parse = (name, value, fallback, min) => {
+        if (value === undefined || value === '') return fallback;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            throw new ApiError(`${name} must be an integer of at least ${min}`, 400, 'INVALID_PAGINATION');
+        }
+        return number;
+    };
+
+    return {
+        limit: Math.min(parse('limit', query.limit, defaultLimit, 1), maxLimit),
+        offset: parse('offset', query.offset, 0, 0)
+    };
+}
+
+/**
+ * Slice a list and describe the page
+ * @param {Array} items - Full list
+ * @param {Object} pagination - { limit, offset }
+ * @returns {Object} - { items, pagination: { limit, offset, total, hasMore } }
+ */
+function paginate(items, { limit, offset }) {
+    return {
+        items: items.slice(offset, offset + limit),
+        pagination: {
+            limit,
+            offset,
+            total: items.length,
+            hasMore: offset + limit < items.length
+        }
+    };
+}
+
 // Export all utilities
 module.exports = {
     // Core utilities
     logger,
+    logsDir,
     delay,
     generateTypingDelay,
     formatTimestamp,
     sanitizeText,
     validatePhoneNumber,
     generateSessionId,
+    isValidClientId,
     retryWithBackoff,
+    withTimeout,
     deepMerge,
     
     // System utilities
@@ -451,6 +632,14 @@ module.exports = {
     generateRandomString,
     parseEnvVar,
     safeJsonParse,
+    readJson,
+    writeJson,
+    parseCsv,
+    parsePagination,
+    paginate,
+    
+    // Error types
+    ApiError,
     
     // Process utilities
     setupGracefulShutdown
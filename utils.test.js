@@ -0,0 +1,41 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { readJson, writeJson } = require('./utils');
+
+describe('JSON files', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('readJson returns the default for a missing file', async () => {
+        expect(await readJson(path.join(tempDir, 'missing.json'), { empty: true })).toEqual({ empty: true });
+    });
+
+    test('writeJson creates the directory and the last queued write wins', async () => {
+        const file = path.join(tempDir, 'nested', 'state.json');
+
+        await Promise.all([1, 2, 3].map(version => writeJson(file, { version })));
+
+        expect(await readJson(file, null)).toEqual({ version: 3 });
+        expect(await fs.readdir(path.dirname(file))).toEqual(['state.json']);
+    });
+
+    test('writeJson rejects when the file cannot be written, and later writes still run', async () => {
+        const file = path.join(tempDir, 'state.json');
+        await fs.mkdir(file);
+
+        await expect(writeJson(file, { version: 1 })).rejects.toThrow();
+        expect(await fs.readdir(tempDir)).toEqual(['state.json']);
+
+        await fs.rm(file, { recursive: true });
+        await writeJson(file, { version: 2 });
+        expect(await readJson(file, null)).toEqual({ version: 2 });
+    });
+});
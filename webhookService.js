@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const { config } = require('./config');
+const { logger, ApiError, readJson, writeJson } = require('./utils');
+
+// Events a webhook can subscribe to; '*' matches all of them
+const WEBHOOK_EVENTS = ['qr', 'connected', 'message_received', 'message_sent', 'disconnected', 'auth_failure', 'chat_state_changed'];
+
+// Loopback, private, link-local (cloud metadata), shared and reserved ranges a
+// tenant's webhook must not reach unless the host is in WEBHOOK_ALLOWED_HOSTS
+const internalAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => internalAddresses.addSubnet(network, prefix, 'ipv6'));
+
+class WebhookService {
+    constructor() {
+        this.dataDir = path.join(__dirname, 'data', 'webhooks');
+        this.webhooksFile = path.join(this.dataDir, 'webhooks.json');
+        // One file per delivery, so an attempt only rewrites its own record
+        this.deliveriesDir = path.join(this.dataDir, 'deliveries');
+        this.legacyDeliveriesFile = path.join(this.dataDir, 'deliveries.json');
+
+        this.timeout = config.webhooks.timeout;
+        this.maxAttempts = config.webhooks.maxAttempts;
+        this.retryBaseDelay = 5000;
+        this.retryMaxDelay = 60 * 60 * 1000; // 1 hour
+        this.maxStoredDeliveries = 500;
+        this.allowedHosts = config.webhooks.allowedHosts.map(host => host.toLowerCase());
+
+        this.webhooks = new Map();
+        this.deliveries = [];
+        this.inFlight = new Set();
+
+        this.ready = this.load();
+
+        // Pick up retries that are due, including ones left over from before a restart
+        this.retryTimer = setInterval(() => {
+            this.processRetryQueue().catch(error => {
+                logger.error('Error processing webhook retry queue:', error);
+            });
+        }, config.webhooks.retryInterval);
+        this.retryTimer.unref();
+    }
+
+    async load() {
+        try {
+            const webhooks = await readJson(this.webhooksFile, []);
+            webhooks.forEach(webhook => this.webhooks.set(webhook.id, webhook));
+            this.deliveries = await this.loadDeliveries();
+            logger.info(`Webhooks loaded: ${this.webhooks.size} subscriptions, ${this.deliveries.length} deliveries`);
+        } catch (error) {
+            logger.error('Error loading webhooks:', error);
+        }
+    }
+
+    async loadDeliveries() {
+        // Older versions kept every delivery in one file; split it up once
+        const legacy = await readJson(this.legacyDeliveriesFile, null);
+        if (legacy) {
+            await Promise.all(legacy.map(delivery => this.persistDelivery(delivery)));
+            await fs.unlink(this.legacyDeliveriesFile);
+            return legacy;
+        }
+
+        let files = [];
+        try {
+            files = (await fs.readdir(this.deliveriesDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const deliveries = [];
+        for (const file of files) {
+            try {
+                deliveries.push(await readJson(path.join(this.deliveriesDir, file), null));
+            } catch (error) {
+                logger.warn(`Error reading webhook delivery ${file}:`, error);
+            }
+        }
+        return deliveries.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    deliveryFile(deliveryId) {
+        return path.join(this.deliveriesDir, `${deliveryId}.json`);
+    }
+
+    persistWebhooks() {
+        return writeJson(this.webhooksFile, Array.from(this.webhooks.values()));
+    }
+
+    persistDelivery(delivery) {
+        return writeJson(this.deliveryFile(delivery.id), delivery);
+    }
+
+    // Subscription management
+    async createWebhook(sessionId, { url, events = ['*'], secret = null, description = '' }) {
+        await this.ready;
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new ApiError('url must be a valid URL', 400, 'INVALID_WEBHOOK');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new ApiError('url must use http or https', 400, 'INVALID_WEBHOOK');
+        }
+        await this.checkDestination(parsed);
+
+        const eventList = Array.isArray(events) ? events : [events];
+        const unknown = eventList.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new ApiError(`Unknown webhook events: ${unknown.join(', ')}`, 400, 'INVALID_WEBHOOK', { allowed: WEBHOOK_EVENTS });
+        }
+
+        const webhook = {
+            id: crypto.randomUUID(),
+            sessionId,
+            url,
+            events: eventList,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            description,
+            active: true,
+            createdAt: new Date().toISOString()
+        };
+
+        this.webhooks.set(webhook.id, webhook);
+        await this.persistWebhooks();
+        logger.info(`Webhook ${webhook.id} created for ${sessionId}: ${url}`);
+
+        // The secret is only returned on creation
+        return { ...this.describeWebhook(webhook), secret: webhook.secret };
+    }
+
+    async updateWebhook(sessionId, webhookId, updates) {
+        await this.ready;
+        const webhook = this.getWebhook(sessionId, webhookId);
+
+        if (updates.events !== undefined) {
+            const eventList = Array.isArray(updates.events) ? updates.events : [updates.events];
+            const unknown = eventList.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+            if (unknown.length > 0) {
+                throw new ApiError(`Unknown webhook events: ${unknown.join(', ')}`, 400, 'INVALID_WEBHOOK', { allowed: WEBHOOK_EVENTS });
+            }
+            webhook.events = eventList;
+        }
+        if (updates.active !== undefined) webhook.active = Boolean(updates.active);
+        if (updates.description !== undefined) webhook.description = String(updates.description);
+
+        webhook.updatedAt = new Date().toISOString();
+        await this.persistWebhooks();
+        return this.describeWebhook(webhook);
+    }
+
+    async deleteWebhook(sessionId, webhookId) {
+        await this.ready;
+        this.getWebhook(sessionId, webhookId);
+
+        this.webhooks.delete(webhookId);
+        await this.persistWebhooks();
+        logger.info(`Webhook ${webhookId} deleted for ${sessionId}`);
+    }
+
+    /**
+     * Refuse URLs whose host resolves to an internal address, so a tenant
+     * cannot make the server post into its own network
+     * @param {URL} url - Webhook URL
+     * @throws {ApiError} - 400 WEBHOOK_URL_NOT_ALLOWED, or INVALID_WEBHOOK when the host does not resolve
+     */
+    async checkDestination(url) {
+        const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (this.allowedHosts.includes(host)) return;
+
+        let addresses;
+        try {
+            addresses = await dns.lookup(host, { all: true, verbatim: true });
+        } catch (error) {
+            throw new ApiError(`Cannot resolve ${host}: ${error.code || error.message}`, 400, 'INVALID_WEBHOOK');
+        }
+
+        const internal = addresses.find(({ address, family }) => internalAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+        if (internal) {
+            throw new ApiError(`url resolves to the internal address ${internal.address}; list the host in WEBHOOK_ALLOWED_HOSTS to allow it`,
+                400, 'WEBHOOK_URL_NOT_ALLOWED');
+        }
+    }
+
+    getWebhook(sessionId, webhookId) {
+        const webhook = this.webhooks.get(webhookId);
+        if (!webhook || webhook.sessionId !== sessionId) {
+            throw new ApiError('Webhook not found', 404, 'WEBHOOK_NOT_FOUND');
+        }
+        return webhook;
+    }
+
+    listWebhooks(sessionId) {
+        return Array.from(this.webhooks.values())
+            .filter(webhook => webhook.sessionId === sessionId)
+            .map(webhook => this.describeWebhook(webhook));
+    }
+
+    describeWebhook({ secret, ...webhook }) {
+        return webhook;
+    }
+
+    // Queue an event for every matching subscription of the session
+    async dispatch(sessionId, event, data) {
+        await this.ready;
+
+        const targets = Array.from(this.webhooks.values()).filter(webhook =>
+            webhook.sessionId === sessionId &&
+            webhook.active &&
+            (webhook.events.includes('*') || webhook.events.includes(event))
+        );
+        if (targets.length === 0) return [];
+
+        const deliveries = targets.map(webhook => ({
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            sessionId,
+            event,
+            payload: {
+                event,
+                sessionId,
+                data,
+                timestamp: new Date().toISOString()
+            },
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date().toISOString(),
+            createdAt: new Date().toISOString()
+        }));
+
+        this.deliveries.push(...deliveries);
+        await this.trimDeliveries();
+
+        // Stored as pending first, so a crash during the attempt leaves it for the retry queue
+        await Promise.all(deliveries.map(delivery => this.persistDelivery(delivery)));
+
+        deliveries.forEach(delivery => {
+            this.attemptDelivery(delivery).catch(error => {
+                logger.error(`Error delivering webhook ${delivery.id}:`, error);
+            });
+        });
+
+        return deliveries.map(delivery => delivery.id);
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async attemptDelivery(delivery) {
+        if (this.inFlight.has(delivery.id)) return delivery;
+
+        const webhook = this.webhooks.get(delivery.webhookId);
+        if (!webhook) {
+            delivery.status = 'failed';
+            delivery.lastError = 'Webhook no longer exists';
+            await this.persistDelivery(delivery);
+            return delivery;
+        }
+
+        this.inFlight.add(delivery.id);
+        delivery.attempts++;
+        delivery.lastAttemptAt = new Date().toISOString();
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        try {
+            // Checked again on every attempt: the host may resolve differently by now
+            await this.checkDestination(new URL(webhook.url));
+
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'whatsapp-auto-bot-webhooks/1.0',
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+                },
+                body,
+                // A redirect could point anywhere, including the internal network
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            delivery.responseStatus = response.status;
+            if (!response.ok) {
+                throw new Error(`Endpoint responded with HTTP ${response.status}`);
+            }
+
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date().toISOString();
+            delivery.lastError = null;
+            delivery.nextAttemptAt = null;
+            logger.debug(`Webhook ${delivery.id} delivered to ${webhook.url}`);
+
+        } catch (error) {
+            delivery.lastError = error.message;
+
+            if (delivery.attempts >= this.maxAttempts) {
+                delivery.status = 'failed';
+                delivery.nextAttemptAt = null;
+                logger.warn(`Webhook ${delivery.id} failed after ${delivery.attempts} attempts: ${error.message}`);
+            } else {
+                // Exponential backoff: 5s, 10s, 20s ... capped at an hour
+                const backoff = Math.min(this.retryBaseDelay * Math.pow(2, delivery.attempts - 1), this.retryMaxDelay);
+                delivery.status = 'retrying';
+                delivery.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+                logger.warn(`Webhook ${delivery.id} attempt ${delivery.attempts} failed, retrying in ${backoff}ms: ${error.message}`);
+            }
+        } finally {
+            this.inFlight.delete(delivery.id);
+        }
+
+        await this.persistDelivery(delivery);
+        return delivery;
+    }
+
+    async processRetryQueue() {
+        await this.ready;
+        const now = Date.now();
+
+        const due = this.deliveries.filter(delivery =>
+            (delivery.status === 'pending' || delivery.status === 'retrying') &&
+            delivery.nextAttemptAt &&
+            new Date(delivery.nextAttemptAt).getTime() <= now
+        );
+
+        for (const delivery of due) {
+            await this.attemptDelivery(delivery);
+        }
+
+        return due.length;
+    }
+
+    listDeliveries(sessionId, { status = null, webhookId = null, limit = 50 } = {}) {
+        return this.deliveries
+            .filter(delivery =>
+                delivery.sessionId === sessionId &&
+                (!status || delivery.status === status) &&
+                (!webhookId || delivery.webhookId === webhookId)
+            )
+            .slice(-limit)
+            .reverse();
+    }
+
+    async replayDelivery(sessionId, deliveryId) {
+        await this.ready;
+
+        const delivery = this.deliveries.find(entry => entry.id === deliveryId && entry.sessionId === sessionId);
+        if (!delivery) {
+            throw new ApiError('Delivery not found', 404, 'DELIVERY_NOT_FOUND');
+        }
+        if (delivery.status !== 'failed') {
+            throw new ApiError(`Only failed deliveries can be replayed (status: ${delivery.status})`, 409, 'DELIVERY_NOT_FAILED');
+        }
+
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.replayedAt = new Date().toISOString();
+        delivery.nextAttemptAt = new Date().toISOString();
+
+        return this.attemptDelivery(delivery);
+    }
+
+    // Keep the delivery log bounded, never dropping deliveries still awaiting a retry
+    async trimDeliveries() {
+        const excess = this.deliveries.length - this.maxStoredDeliveries;
+        if (excess <= 0) return;
+
+        const removed = [];
+        this.deliveries = this.deliveries.filter(delivery => {
+            if (removed.length < excess && (delivery.status === 'delivered' || delivery.status === 'failed')) {
+                removed.push(delivery.id);
+                return false;
+            }
+            return true;
+        });
+
+        await Promise.all(removed.map(deliveryId => fs.unlink(this.deliveryFile(deliveryId)).catch(error => {
+            if (error.code !== 'ENOENT') logger.warn(`Error deleting webhook delivery ${deliveryId}:`, error);
+        })));
+    }
+
+    getStats() {
+        const byStatus = {};
+        for (const delivery of this.deliveries) {
+            byStatus[delivery.status] = (byStatus[delivery.status] || 0) + 1;
+        }
+
+        return {
+            webhooks: this.webhooks.size,
+            deliveries: byStatus
+        };
+    }
+}
+
+module.exports = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -1,4 +1,3 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const QRCode = require('qrcode');
 const fs = require('fs').promises;
 const path = require('path');
@@ -6,7 +5,28 @@ const path = require('path');
 const AIService = require('./aiService');
 const SessionStore = require('./sessionStore');
 const RateLimiter = require('./ratelimiter');
-const { logger, delay, generateTypingDelay } = require('./utils');
+const WebhookService = require('./webhookService');
+const MessageScheduler = require('./messageScheduler');
+const CampaignService = require('./campaignService');
+const RetentionService = require('./retentionService');
+const MediaStore = require('./mediaStore');
+const GroupSettings = require('./groupSettings');
+const ChatStates = require('./chatStates');
+const InboxService = require('./inboxService');
+const AutoResponder = require('./autoResponder');
+const KnowledgeBase = require('./knowledgeBase');
+const PersonaProfiles = require('./personaProfiles');
+const { mediaType } = MediaStore;
+const { createClient, createMedia, getDriverName } = require('./clientDriver');
+const { createTranscriber, VOICE_TYPES } = require('./transcription');
+const metrics = require('./metrics');
+const { DEFAULT_TENANT } = require('./auth');
+const { config } = require('./config');
+const { logger, delay, generateTypingDelay, ApiError, withTimeout } = require('./utils');
+
+const messagesReceived = metrics.counter('whatsapp_bot_messages_received_total', 'Messages received from contacts', ['session']);
+const messagesSent = metrics.counter('whatsapp_bot_messages_sent_total', 'Messages sent from the session (bot, API or phone)', ['session']);
+const transcriptions = metrics.counter('whatsapp_bot_transcriptions_total', 'Voice note transcriptions by backend and outcome', ['backend', 'outcome']);
 
 class WhatsAppManager {
     constructor(io) {
@@ -15,10 +35,45 @@ class WhatsAppManager {
         this.sessions = new Map();
         this.aiService = new AIService();
         this.sessionStore = new SessionStore();
+        this.mediaStore = new MediaStore();
+        this.knowledgeBase = new KnowledgeBase();
+        this.personaProfiles = new PersonaProfiles();
+        this.transcriber = createTranscriber();
         this.rateLimiter = new RateLimiter();
+        this.groupSettings = new GroupSettings();
+        this.chatStates = new ChatStates(this);
+        this.inbox = new InboxService(this);
+        this.autoResponder = new AutoResponder(this);
+        this.webhookService = new WebhookService();
+        this.scheduler = new MessageScheduler(this);
+        this.campaignService = new CampaignService(this);
+        this.retentionService = new RetentionService(this);
+
+        this.maxConversationHistory = config.ai.maxConversationHistory;
+        this.defaultLanguage = config.ai.defaultLanguage;
+        this.sessionTimeout = config.whatsapp.sessionTimeout;
+        this.mediaDownloadTimeout = config.media.downloadTimeout;
+
+        // Messages this server is about to send, so their echo is not mistaken for a manual reply
+        this.pendingOutgoing = new Map(); // "clientId:chatId" => [{ body, expiresAt }]
+        this.outgoingTtl = 2 * 60 * 1000;
+
+        // Session capacity: global cap, per-tenant quotas and a waiting list
+        this.maxSessions = config.whatsapp.maxSessions;
+        this.maxSessionsPerTenant = config.whatsapp.maxSessionsPerTenant;
+        this.tenantSessionQuotas = config.whatsapp.tenantSessionQuotas;
+        this.pendingSessions = [];
         
         // Ensure data directory exists
         this.initializeDataDirectory();
+
+        // Periodically drop sessions that never connected or stayed disconnected
+        this.staleSessionTimer = setInterval(() => {
+            this.cleanupStaleSessions().catch(error => {
+                logger.error('Error cleaning up stale sessions:', error);
+            });
+        }, config.whatsapp.cleanupInterval);
+        this.staleSessionTimer.unref();
     }
 
     async initializeDataDirectory() {
@@ -30,48 +85,49 @@ class WhatsAppManager {
         }
     }
 
-    async createSession(clientId) {
+    async createSession(clientId, options = {}) {
         try {
             if (this.clients.has(clientId)) {
-                throw new Error(`Session ${clientId} already exists`);
+                throw new ApiError(`Session ${clientId} already exists`, 409, 'SESSION_EXISTS');
             }
 
-            logger.info(`Creating new session: ${clientId}`);
-
-            // Create WhatsApp client with LocalAuth
-            const client = new Client({
-                authStrategy: new LocalAuth({ 
-                    clientId: clientId,
-                    dataPath: path.join(__dirname, 'data', 'sessions')
-                }),
-                puppeteer: {
-                    headless: true,
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--single-process',
-                        '--disable-gpu'
-                    ]
-                },
-                webVersionCache: {
-                    type: 'remote',
-                    remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+            const tenantId = options.tenantId || DEFAULT_TENANT;
+
+            // Every session runs its own Chromium, so enforce capacity before creating one
+            const capacityError = this.checkCapacity(tenantId);
+            if (capacityError) {
+                if (options.queue) {
+                    return this.queueSession(clientId, tenantId);
                 }
-            });
+                throw capacityError;
+            }
+            this.removePendingSession(clientId);
+
+            logger.info(`Creating new session: ${clientId} (tenant ${tenantId})`);
+
+            // Create WhatsApp client through the configured driver (web or mock)
+            const client = createClient(clientId);
 
             // Store client and session info
             this.clients.set(clientId, client);
             this.sessions.set(clientId, {
                 id: clientId,
+                tenantId,
+                driver: getDriverName(),
                 status: 'initializing',
                 createdAt: new Date(),
                 lastActivity: new Date()
             });
 
+            // Record ownership before the client connects so it survives restarts
+            const existingMetadata = await this.sessionStore.getSessionMetadata(clientId);
+            await this.sessionStore.saveSessionMetadata(clientId, {
+                createdAt: new Date(),
+                ...existingMetadata,
+                tenantId,
+                status: 'initializing'
+            });
+
             // Set up event handlers
             this.setupClientEvents(clientId, client);
 
@@ -80,17 +136,137 @@ class WhatsAppManager {
 
             return {
                 clientId,
+                tenantId,
                 status: 'initializing',
                 timestamp: new Date().toISOString()
             };
 
         } catch (error) {
             logger.error(`Error creating session ${clientId}:`, error);
-            this.cleanupSession(clientId);
+            if (!(error instanceof ApiError)) {
+                this.cleanupSession(clientId);
+            }
             throw error;
         }
     }
 
+    getTenantQuota(tenantId) {
+        if (this.tenantSessionQuotas[tenantId] !== undefined) {
+            return this.tenantSessionQuotas[tenantId];
+        }
+        return this.maxSessionsPerTenant || this.maxSessions;
+    }
+
+    // Returns an ApiError if another session cannot start now, otherwise null
+    checkCapacity(tenantId) {
+        const active = this.sessions.size;
+        if (active >= this.maxSessions) {
+            return new ApiError(
+                `Session limit reached (${this.maxSessions} sessions)`,
+                429,
+                'SESSION_QUOTA_EXCEEDED',
+                { scope: 'global', limit: this.maxSessions, active }
+            );
+        }
+
+        const tenantActive = this.getActiveSessions(tenantId).length;
+        const tenantQuota = this.getTenantQuota(tenantId);
+        if (tenantActive >= tenantQuota) {
+            return new ApiError(
+                `Session quota reached for tenant ${tenantId} (${tenantQuota} sessions)`,
+                429,
+                'SESSION_QUOTA_EXCEEDED',
+                { scope: 'tenant', tenantId, limit: tenantQuota, active: tenantActive }
+            );
+        }
+
+        return null;
+    }
+
+    getCapacity(tenantId = null) {
+        const capacity = {
+            maxSessions: this.maxSessions,
+            activeSessions: this.sessions.size,
+            pendingSessions: this.pendingSessions.length
+        };
+
+        if (tenantId) {
+            capacity.tenant = {
+                tenantId,
+                quota: this.getTenantQuota(tenantId),
+                activeSessions: this.getActiveSessions(tenantId).length,
+                pendingSessions: this.getPendingSessions(tenantId).length
+            };
+        }
+
+        return capacity;
+    }
+
+    // Put a session on the waiting list until capacity frees up
+    queueSession(clientId, tenantId) {
+        let entry = this.pendingSessions.find(pending => pending.clientId === clientId);
+        if (!entry) {
+            entry = { clientId, tenantId, queuedAt: new Date() };
+            this.pendingSessions.push(entry);
+            logger.info(`Session ${clientId} queued, waiting list size: ${this.pendingSessions.length}`);
+        }
+
+        const position = this.pendingSessions.indexOf(entry) + 1;
+        this.io.to(`session_${clientId}`).emit('session_queued', {
+            clientId,
+            position,
+            timestamp: new Date().toISOString()
+        });
+
+        return {
+            clientId,
+            tenantId,
+            status: 'queued',
+            position,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    getPendingSessions(tenantId = null) {
+        return this.pendingSessions
+            .filter(pending => !tenantId || pending.tenantId === tenantId)
+            .map(pending => ({
+                ...pending,
+                position: this.pendingSessions.indexOf(pending) + 1
+            }));
+    }
+
+    removePendingSession(clientId) {
+        const index = this.pendingSessions.findIndex(pending => pending.clientId === clientId);
+        if (index === -1) return false;
+
+        this.pendingSessions.splice(index, 1);
+        logger.info(`Session ${clientId} removed from waiting list`);
+        return true;
+    }
+
+    // Start waiting sessions, in order, for as long as capacity allows
+    processPendingSessions() {
+        for (const pending of this.pendingSessions.slice()) {
+            if (this.sessions.size >= this.maxSessions) break;
+            if (this.checkCapacity(pending.tenantId)) continue;
+
+            this.removePendingSession(pending.clientId);
+            logger.info(`Starting queued session ${pending.clientId}`);
+
+            this.io.to(`session_${pending.clientId}`).emit('session_dequeued', {
+                clientId: pending.clientId,
+                waitedMs: Date.now() - pending.queuedAt.getTime(),
+                timestamp: new Date().toISOString()
+            });
+
+            // Capacity is reserved synchronously inside createSession, so the loop can continue
+            this.createSession(pending.clientId, { tenantId: pending.tenantId }).catch(error => {
+                logger.error(`Failed to start queued session ${pending.clientId}:`, error);
+            });
+        }
+    }
+
     setupClientEvents(clientId, client) {
         // QR Code event
         client.on('qr', async (qr) => {
@@ -109,8 +285,8 @@ class WhatsAppManager {
                 // Update session status
                 this.updateSessionStatus(clientId, 'qr_generated');
 
-                // Emit QR to frontend
-                this.io.to(`session_${clientId}`).emit('qr', {
+                // Emit QR to frontend and webhooks
+                this.notifySession(clientId, 'qr', {
                     clientId,
                     qrBase64,
                     expiresAt: Date.now() + 60000 // 60 seconds
@@ -126,29 +302,38 @@ class WhatsAppManager {
 
         // Ready event - WhatsApp connected
         client.on('ready', async () => {
-            logger.info(`WhatsApp client ${clientId} is ready`);
+            try {
+                logger.info(`WhatsApp client ${clientId} is ready`);
             
-            this.updateSessionStatus(clientId, 'connected');
+                this.updateSessionStatus(clientId, 'connected');
             
-            // Get client info
-            const clientInfo = client.info;
+                // Get client info
+                const clientInfo = client.info;
             
-            this.io.to(`session_${clientId}`).emit('connected', {
-                clientId,
-                clientInfo: {
-                    wid: clientInfo.wid._serialized,
-                    pushname: clientInfo.pushname,
-                    platform: clientInfo.platform
-                },
-                timestamp: new Date().toISOString()
-            });
+                this.notifySession(clientId, 'connected', {
+                    clientId,
+                    clientInfo: {
+                        wid: clientInfo.wid._serialized,
+                        pushname: clientInfo.pushname,
+                        platform: clientInfo.platform
+                    },
+                    timestamp: new Date().toISOString()
+                });
 
-            // Store session metadata
-            await this.sessionStore.saveSessionMetadata(clientId, {
-                status: 'connected',
-                clientInfo,
-                connectedAt: new Date()
-            });
+                // Store session metadata
+                const session = this.sessions.get(clientId);
+                await this.sessionStore.saveSessionMetadata(clientId, {
+                    tenantId: session ? session.tenantId : DEFAULT_TENANT,
+                    status: 'connected',
+                    clientInfo,
+                    connectedAt: new Date()
+                });
+
+                // Scheduled messages that came due while the session was down
+                await this.scheduler.handleSessionConnected(clientId);
+            } catch (error) {
+                logger.error(`Error handling ready event on ${clientId}:`, error);
+            }
         });
 
         // Message received event
@@ -159,25 +344,37 @@ class WhatsAppManager {
                 
                 // Skip if message is from the bot itself
                 if (message.fromMe) {
+                    messagesSent.inc({ session: clientId });
+
+                    // Anything this server did not send itself was typed on the phone
+                    const manual = !this.consumeOutgoing(clientId, message.to, message.body);
+
                     // Emit to frontend for sent message tracking
-                    this.io.to(`session_${clientId}`).emit('message_sent', {
+                    this.notifySession(clientId, 'message_sent', {
                         clientId,
                         to: message.to,
                         message: message.body,
+                        manual,
                         timestamp: new Date(message.timestamp * 1000).toISOString()
                     });
+
+                    if (manual) {
+                        await this.handleManualReply(clientId, message);
+                    }
                     return;
                 }
 
                 logger.info(`Message received on ${clientId} from ${message.from}: ${message.body}`);
+                messagesReceived.inc({ session: clientId });
 
                 // Update last activity
                 this.updateSessionActivity(clientId);
 
                 // Emit to frontend
-                this.io.to(`session_${clientId}`).emit('message_received', {
+                this.notifySession(clientId, 'message_received', {
                     clientId,
                     from: message.from,
+                    author: message.author || null,
                     message: message.body,
                     timestamp: new Date(message.timestamp * 1000).toISOString()
                 });
@@ -190,6 +387,17 @@ class WhatsAppManager {
             }
         });
 
+        // Delivery/read receipts for sent messages
+        client.on('message_ack', (message, ack) => {
+            this.io.to(`session_${clientId}`).emit('message_ack', {
+                clientId,
+                messageId: message.id._serialized,
+                to: message.to,
+                ack,
+                timestamp: new Date().toISOString()
+            });
+        });
+
         // Authentication failure
         client.on('auth_failure', (msg) => {
             logger.error(`Auth failure for ${clientId}:`, msg);
@@ -198,6 +406,11 @@ class WhatsAppManager {
             this.io.to(`session_${clientId}`).emit('error', {
                 message: 'Authentication failed. Please scan QR code again.'
             });
+            this.webhookService.dispatch(clientId, 'auth_failure', {
+                clientId,
+                message: msg,
+                timestamp: new Date().toISOString()
+            }).catch(error => logger.error(`Error dispatching webhooks for ${clientId}:`, error));
         });
 
         // Disconnected event
@@ -205,7 +418,7 @@ class WhatsAppManager {
             logger.warn(`Client ${clientId} disconnected:`, reason);
             this.updateSessionStatus(clientId, 'disconnected');
             
-            this.io.to(`session_${clientId}`).emit('disconnected', {
+            this.notifySession(clientId, 'disconnected', {
                 clientId,
                 reason,
                 timestamp: new Date().toISOString()
@@ -224,14 +437,267 @@ class WhatsAppManager {
         });
     }
 
+    // Emit an event to the session's dashboard room and its webhooks
+    notifySession(clientId, event, data) {
+        this.io.to(`session_${clientId}`).emit(event, data);
+        this.webhookService.dispatch(clientId, event, data).catch(error => {
+            logger.error(`Error dispatching webhooks for ${clientId}:`, error);
+        });
+    }
+
+    // Download an attachment into the media store; the result is merged into the history record
+    async ingestIncomingMedia(clientId, message) {
+        try {
+            const downloaded = await withTimeout(
+                message.downloadMedia(),
+                this.mediaDownloadTimeout,
+                `Media download timed out after ${this.mediaDownloadTimeout}ms`
+            );
+            if (!downloaded || !downloaded.data) {
+                return { mediaError: 'Media is no longer available' };
+            }
+
+            const reference = await this.mediaStore.ingest(downloaded, { sessionId: clientId });
+            if (reference.skipped) {
+                return { mediaError: `Skipped: ${reference.skipped}`, mediaInfo: reference };
+            }
+
+            this.io.to(`session_${clientId}`).emit('media_received', {
+                clientId,
+                from: message.from,
+                messageId: message.id._serialized,
+                media: reference,
+                timestamp: new Date().toISOString()
+            });
+            return { media: reference };
+
+        } catch (error) {
+            logger.error(`Error downloading media on ${clientId}:`, error);
+            return { mediaError: error.message };
+        }
+    }
+
+    // Transcribe a stored voice note; the result is merged into the history record
+    async transcribeVoiceNote(clientId, message, reference) {
+        if (!this.transcriber) return null;
+
+        const startedAt = Date.now();
+        const backend = this.transcriber.name;
+
+        try {
+            const result = await this.transcriber.transcribe({
+                filePath: this.mediaStore.filePath(reference.id),
+                mimetype: reference.mimetype,
+                language: this.defaultLanguage === 'english' ? 'en' : 'hi'
+            });
+
+            const transcript = {
+                text: result.text,
+                language: result.language || null,
+                backend,
+                durationMs: Date.now() - startedAt
+            };
+            transcriptions.inc({ backend, outcome: 'success' });
+
+            this.io.to(`session_${clientId}`).emit('voice_transcribed', {
+                clientId,
+                from: message.from,
+                messageId: message.id._serialized,
+                media: reference,
+                transcript,
+                timestamp: new Date().toISOString()
+            });
+            logger.info(`Voice note from ${message.from} on ${clientId} transcribed by ${backend} in ${transcript.durationMs}ms`);
+            return { transcript };
+
+        } catch (error) {
+            transcriptions.inc({ backend, outcome: 'error' });
+            logger.error(`Error transcribing voice note on ${clientId}:`, error);
+
+            this.io.to(`session_${clientId}`).emit('voice_transcription_failed', {
+                clientId,
+                from: message.from,
+                messageId: message.id._serialized,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+            return { transcriptError: error.message };
+        }
+    }
+
+    // Remember a message about to be sent so its message_create echo counts as the bot's own
+    expectOutgoing(clientId, chatId, body) {
+        const key = `${clientId}:${chatId}`;
+        const now = Date.now();
+        const pending = (this.pendingOutgoing.get(key) || []).filter(entry => entry.expiresAt > now);
+        pending.push({ body: body || '', expiresAt: now + this.outgoingTtl });
+        this.pendingOutgoing.set(key, pending);
+    }
+
+    consumeOutgoing(clientId, chatId, body) {
+        const key = `${clientId}:${chatId}`;
+        const now = Date.now();
+        const pending = (this.pendingOutgoing.get(key) || []).filter(entry => entry.expiresAt > now);
+        const index = pending.findIndex(entry => entry.body === (body || ''));
+        if (index !== -1) pending.splice(index, 1);
+
+        if (pending.length > 0) {
+            this.pendingOutgoing.set(key, pending);
+        } else {
+            this.pendingOutgoing.delete(key);
+        }
+        return index !== -1;
+    }
+
+    // Store a message in history and push it to the operator inbox
+    async saveChatMessage(clientId, chatId, record) {
+        await this.sessionStore.saveMessage(clientId, chatId, record);
+        await this.inbox.handleMessage(clientId, chatId, record);
+    }
+
+    /**
+     * Reply to a chat as an operator from the inbox. The reply is attributed
+     * to the agent in history and, like a reply from the phone, pauses the bot.
+     * @param {Object} agent - Principal sending the reply ({ id, name })
+     * @returns {Object} - The stored history record
+     */
+    async sendAgentReply(clientId, rawChatId, text, agent) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            throw new ApiError(`Session ${clientId} not found`, 404, 'SESSION_NOT_FOUND');
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new ApiError('message is required', 400, 'INVALID_MESSAGE');
+        }
+        const chatId = await this.inbox.resolveChatId(clientId, rawChatId);
+
+        this.expectOutgoing(clientId, chatId, text);
+        const sent = await client.sendMessage(chatId, text);
+
+        const record = {
+            id: sent && sent.id ? sent.id._serialized : Date.now().toString(),
+            from: sent ? sent.from : null,
+            to: chatId,
+            body: text,
+            type: 'chat',
+            timestamp: new Date(),
+            fromMe: true,
+            agentId: agent.id,
+            agentName: agent.name
+        };
+        await this.saveChatMessage(clientId, chatId, record);
+        await this.chatStates.recordManualReply(clientId, chatId, { reason: 'agent_reply', by: agent.id });
+
+        this.updateSessionActivity(clientId);
+        logger.info(`Agent ${agent.id} replied on ${clientId} to ${chatId}`);
+        return record;
+    }
+
+    // Show or clear the typing indicator in a chat while an agent writes
+    async setAgentTyping(clientId, chatId, typing) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            throw new ApiError(`Session ${clientId} not found`, 404, 'SESSION_NOT_FOUND');
+        }
+
+        const chat = await client.getChatById(chatId);
+        if (typing) {
+            await chat.sendStateTyping();
+        } else {
+            await chat.clearState();
+        }
+    }
+
+    // The owner answered from their phone: keep the reply in history and let the human take over
+    async handleManualReply(clientId, message) {
+        try {
+            await this.saveChatMessage(clientId, message.to, {
+                id: message.id._serialized,
+                from: message.from,
+                to: message.to,
+                body: message.body,
+                type: message.type,
+                timestamp: new Date(message.timestamp * 1000),
+                fromMe: true,
+                manual: true
+            });
+            await this.chatStates.recordManualReply(clientId, message.to);
+        } catch (error) {
+            logger.error(`Error recording manual reply on ${clientId}:`, error);
+        }
+    }
+
+    /**
+     * Whether a group message is aimed at the bot: it @-mentions the bot's
+     * number or quotes one of the bot's messages
+     */
+    async isBotAddressed(clientId, message) {
+        const ownId = this.getOwnId(clientId);
+        const mentioned = (message.mentionedIds || []).map(id => (typeof id === 'string' ? id : id._serialized));
+        if (ownId && mentioned.includes(ownId)) return true;
+
+        if (message.hasQuotedMsg) {
+            try {
+                const quoted = await message.getQuotedMessage();
+                return Boolean(quoted && quoted.fromMe);
+            } catch (error) {
+                logger.warn(`Could not load quoted message on ${clientId}:`, error.message);
+            }
+        }
+        return false;
+    }
+
+    getOwnId(clientId) {
+        const client = this.clients.get(clientId);
+        return client && client.info && client.info.wid ? client.info.wid._serialized : null;
+    }
+
+    /**
+     * Decide whether the bot answers a group message. Nothing is sent when it
+     * does not: groups never get the rate limit notice.
+     */
+    async shouldReplyInGroup(clientId, chatId, senderId, message) {
+        const settings = this.groupSettings.get(clientId, chatId);
+        if (!settings.enabled || settings.replyMode === 'off') return false;
+
+        if (settings.replyMode === 'mention' && !(await this.isBotAddressed(clientId, message))) {
+            return false;
+        }
+        // The sender's own limit comes first so a rate-limited sender cannot use up the group's quota
+        if (!this.rateLimiter.checkLimit(senderId)) {
+            logger.warn(`Rate limit exceeded for ${senderId} in ${chatId}`);
+            return false;
+        }
+        if (!this.groupSettings.consumeReply(clientId, chatId)) {
+            logger.info(`Group reply limit reached for ${chatId} on ${clientId}`);
+            return false;
+        }
+        return true;
+    }
+
     async processIncomingMessage(clientId, message) {
+        let sendFallback = true;
+
         try {
             const chat = await message.getChat();
             const contact = await message.getContact();
-            
-            // Check rate limiting
-            const senderId = message.from;
-            if (!this.rateLimiter.checkLimit(senderId)) {
+            const isGroup = Boolean(chat.isGroup);
+
+            // A group's history is kept under the group ID; the sender is the participant who wrote
+            const chatId = message.from;
+            const senderId = isGroup ? (message.author || contact.id._serialized) : message.from;
+            const senderName = contact.name || contact.pushname || senderId;
+
+            let reply = true;
+            if (!this.chatStates.isBotActive(clientId, chatId)) {
+                // A paused or handed-off chat belongs to the human; the bot only records it
+                reply = false;
+                sendFallback = false;
+            } else if (isGroup) {
+                sendFallback = false;
+                reply = await this.shouldReplyInGroup(clientId, chatId, senderId, message);
+                sendFallback = reply;
+            } else if (!this.rateLimiter.checkLimit(senderId)) {
                 logger.warn(`Rate limit exceeded for ${senderId}`);
                 
                 // Send rate limit message
@@ -240,38 +706,72 @@ class WhatsAppManager {
                 return;
             }
 
-            // Save incoming message to history
-            await this.sessionStore.saveMessage(clientId, senderId, {
+            const media = message.hasMedia ? await this.ingestIncomingMedia(clientId, message) : null;
+            const voice = media && media.media && VOICE_TYPES.includes(message.type)
+                ? await this.transcribeVoiceNote(clientId, message, media.media)
+                : null;
+
+            // A voice note's transcript stands in for the text the AI would otherwise get
+            let text = message.body || (voice && voice.transcript ? voice.transcript.text : '');
+
+            // Save incoming message to history; group messages also when the bot stays quiet
+            await this.saveChatMessage(clientId, chatId, {
                 id: message.id._serialized,
                 from: message.from,
                 to: message.to,
                 body: message.body,
                 type: message.type,
                 timestamp: new Date(message.timestamp * 1000),
-                fromMe: false
+                fromMe: false,
+                ...(isGroup && { author: senderId, authorName: senderName }),
+                ...media,
+                ...voice
             });
 
-            // Get conversation history for context
-            const conversationHistory = await this.sessionStore.getConversationHistory(
+            if (!reply) return;
+
+            // The @-mention is addressing, not content
+            const ownId = this.getOwnId(clientId);
+            if (isGroup && ownId) {
+                text = text.replace(new RegExp(`@${ownId.split('@')[0]}\\b`, 'g'), '').trim();
+            }
+
+            // Approved answers from auto-reply rules take precedence over the AI
+            if (await this.autoResponder.handleMessage(clientId, chatId, senderId, text, { chat })) return;
+
+            // Get conversation history for context; the message being answered is passed separately
+            const { messages: storedMessages } = await this.sessionStore.getConversationHistory(
                 clientId, 
-                senderId, 
-                6 // Last 6 messages for context
+                chatId, 
+                this.maxConversationHistory + 1
             );
+            const conversationHistory = storedMessages.filter(stored => stored.id !== message.id._serialized);
+
+            // Passages from the session's knowledge base, null when it has no documents
+            const knowledge = await this.knowledgeBase.retrieve(clientId, text);
+
+            // The session's persona profile is read per message, so edits apply to the next reply
+            const profile = this.personaProfiles.getProfile(clientId);
 
             // Generate AI response
             const aiResponse = await this.aiService.generateAdvancedResponse({
-                message: message.body,
-                sender: contact.name || contact.pushname || senderId,
+                message: text,
+                sender: senderName,
                 conversationHistory,
-                language: this.detectLanguage(message.body)
+                language: this.resolveLanguage(text, profile),
+                profile,
+                persona: isGroup ? this.groupSettings.get(clientId, chatId).persona : null,
+                group: isGroup ? { id: chatId, name: chat.name || chatId } : null,
+                knowledge
             });
 
-            if (aiResponse) {
-                // Send response with typing simulation
-                await this.sendTypingMessage(clientId, chat, aiResponse);
+            // A human may have taken the chat over while the reply was being generated
+            if (aiResponse && this.chatStates.isBotActive(clientId, chatId)) {
+                // Send response with typing simulation; in groups quote the message being answered
+                await this.sendTypingMessage(clientId, chat, aiResponse, isGroup ? { quotedMessageId: message.id._serialized } : {});
 
                 // Save AI response to history
-                await this.sessionStore.saveMessage(clientId, senderId, {
+                await this.saveChatMessage(clientId, chatId, {
                     id: Date.now().toString(),
                     from: message.to, // Bot's number
                     to: message.from,
@@ -279,12 +779,16 @@ class WhatsAppManager {
                     type: 'chat',
                     timestamp: new Date(),
                     fromMe: true,
-                    aiGenerated: true
+                    aiGenerated: true,
+                    ...(knowledge && {
+                        sources: knowledge.passages.map(({ documentId, title, chunkId, score }) => ({ documentId, title, chunkId, score }))
+                    })
                 });
             }
 
         } catch (error) {
             logger.error(`Error processing incoming message:`, error);
+            if (!sendFallback) return;
             
             // Send fallback message
             try {
@@ -297,7 +801,7 @@ class WhatsAppManager {
         }
     }
 
-    async sendTypingMessage(clientId, chat, message) {
+    async sendTypingMessage(clientId, chat, message, options = {}) {
         try {
             // Show typing indicator
             await chat.sendStateTyping();
@@ -326,7 +830,8 @@ class WhatsAppManager {
 
             // Clear typing and send message
             await chat.clearState();
-            await chat.sendMessage(message);
+            this.expectOutgoing(clientId, chat.id._serialized, message);
+            await chat.sendMessage(message, options);
 
             logger.info(`Message sent on ${clientId} to ${chat.id._serialized}: ${message.substring(0, 50)}...`);
 
@@ -336,6 +841,11 @@ class WhatsAppManager {
         }
     }
 
+    // A profile can pin the reply language; otherwise it follows the contact's message
+    resolveLanguage(text, profile) {
+        return profile.language === 'auto' ? this.detectLanguage(text) : profile.language;
+    }
+
     detectLanguage(text) {
         // Simple language detection
         const hindiRegex = /[\u0900-\u097F]/;
@@ -351,7 +861,7 @@ class WhatsAppManager {
         if (hindiCount > englishCount) return 'hindi';
         if (englishCount > 0) return 'english';
         
-        return 'hinglish'; // Default to Hinglish
+        return this.defaultLanguage; // Configured default, Hinglish unless overridden
     }
 
     async sendMessage(clientId, to, message) {
@@ -365,6 +875,7 @@ class WhatsAppManager {
             const formattedNumber = to.includes('@c.us') ? to : `${to}@c.us`;
             
             // Send message
+            this.expectOutgoing(clientId, formattedNumber, message);
             await client.sendMessage(formattedNumber, message);
             
             // Update activity
@@ -378,6 +889,54 @@ class WhatsAppManager {
         }
     }
 
+    /**
+     * Send an image, video, audio clip or document
+     * @param {string} clientId - Session ID
+     * @param {string} to - Phone number or chat ID
+     * @param {Object} media - { buffer, mimetype, filename, caption, asDocument, historyFields (extra fields for the history record) }
+     * @returns {Object} - Recipient, stored media reference and caption
+     */
+    async sendMediaMessage(clientId, to, { buffer, mimetype, filename, caption = '', asDocument = false, historyFields = {} }) {
+        try {
+            const client = this.clients.get(clientId);
+            if (!client) {
+                throw new ApiError(`Session ${clientId} not found`, 404, 'SESSION_NOT_FOUND');
+            }
+
+            const file = this.mediaStore.validate(buffer, { mimetype, filename });
+            const formattedNumber = to.includes('@') ? to : `${to}@c.us`;
+
+            const media = createMedia(file.mimetype, buffer.toString('base64'), file.filename, buffer.length);
+            this.expectOutgoing(clientId, formattedNumber, caption);
+            const sent = await client.sendMessage(formattedNumber, media, {
+                caption: caption || undefined,
+                sendMediaAsDocument: Boolean(asDocument)
+            });
+
+            // Keep a copy so history can point at the exact file that went out
+            const reference = await this.mediaStore.save(buffer, file, { sessionId: clientId });
+            await this.saveChatMessage(clientId, formattedNumber, {
+                id: sent && sent.id ? sent.id._serialized : Date.now().toString(),
+                from: sent ? sent.from : null,
+                to: formattedNumber,
+                body: caption || '',
+                type: asDocument ? 'document' : mediaType(file.mimetype),
+                timestamp: new Date(),
+                fromMe: true,
+                media: reference,
+                ...historyFields
+            });
+
+            this.updateSessionActivity(clientId);
+
+            return { success: true, to: formattedNumber, media: reference, caption };
+
+        } catch (error) {
+            logger.error(`Error sending media from ${clientId}:`, error);
+            throw error;
+        }
+    }
+
     async refreshQR(clientId) {
         try {
             const client = this.clients.get(clientId);
@@ -385,9 +944,10 @@ class WhatsAppManager {
                 throw new Error(`Session ${clientId} not found`);
             }
 
-            // Destroy and recreate client
+            // Destroy and recreate client, keeping its owner
+            const { tenantId } = this.sessions.get(clientId) || {};
             await this.destroySession(clientId);
-            await this.createSession(clientId);
+            await this.createSession(clientId, { tenantId });
             
         } catch (error) {
             logger.error(`Error refreshing QR for ${clientId}:`, error);
@@ -398,6 +958,11 @@ class WhatsAppManager {
     async destroySession(clientId) {
         try {
             logger.info(`Destroying session: ${clientId}`);
+
+            // Sessions still waiting for capacity only need to leave the queue
+            if (this.removePendingSession(clientId) && !this.clients.has(clientId)) {
+                return;
+            }
             
             const client = this.clients.get(clientId);
             if (client) {
@@ -413,11 +978,21 @@ class WhatsAppManager {
     }
 
     cleanupSession(clientId) {
+        const freed = this.sessions.delete(clientId);
         this.clients.delete(clientId);
-        this.sessions.delete(clientId);
         
         // Cleanup rate limiter
         this.rateLimiter.cleanup(clientId);
+
+        // A slot opened up for the waiting list
+        if (freed && this.pendingSessions.length > 0) {
+            setImmediate(() => this.processPendingSessions());
+        }
+    }
+
+    isSessionConnected(clientId) {
+        const session = this.sessions.get(clientId);
+        return Boolean(session && session.status === 'connected');
     }
 
     updateSessionStatus(clientId, status) {
@@ -435,8 +1010,48 @@ class WhatsAppManager {
         }
     }
 
-    getActiveSessions() {
-        return Array.from(this.sessions.values());
+    getActiveSessions(tenantId = null) {
+        const sessions = Array.from(this.sessions.values());
+        return tenantId ? sessions.filter(session => session.tenantId === tenantId) : sessions;
+    }
+
+    // Tenant owning a session, whether it is running or only persisted. Null if unknown.
+    async getSessionTenant(clientId) {
+        const session = this.sessions.get(clientId);
+        if (session) {
+            return session.tenantId;
+        }
+
+        const pending = this.pendingSessions.find(entry => entry.clientId === clientId);
+        if (pending) {
+            return pending.tenantId;
+        }
+
+        const metadata = await this.sessionStore.getSessionMetadata(clientId);
+        if (metadata) {
+            return metadata.tenantId || DEFAULT_TENANT;
+        }
+
+        return null;
+    }
+
+    // Health check: degraded while any session needs attention
+    healthCheck() {
+        const byStatus = {};
+        for (const session of this.sessions.values()) {
+            byStatus[session.status] = (byStatus[session.status] || 0) + 1;
+        }
+
+        const needsAttention = (byStatus.auth_failed || 0) + (byStatus.disconnected || 0);
+
+        return {
+            status: needsAttention > 0 ? 'degraded' : 'healthy',
+            driver: getDriverName(),
+            sessions: byStatus,
+            pendingSessions: this.pendingSessions.length,
+            capacity: `${this.sessions.size}/${this.maxSessions}`,
+            timestamp: new Date().toISOString()
+        };
     }
 
     async restoreExistingSessions() {
@@ -452,7 +1067,12 @@ class WhatsAppManager {
                     
                     try {
                         logger.info(`Restoring session: ${clientId}`);
-                        await this.createSession(clientId);
+                        const metadata = await this.sessionStore.getSessionMetadata(clientId);
+                        // Sessions beyond the configured capacity wait for a free slot
+                        await this.createSession(clientId, {
+                            tenantId: metadata ? metadata.tenantId : DEFAULT_TENANT,
+                            queue: true
+                        });
                     } catch (error) {
                         logger.error(`Failed to restore session ${clientId}:`, error);
                     }
@@ -464,8 +1084,33 @@ class WhatsAppManager {
         }
     }
 
+    // Destroy sessions that have not been connected for longer than SESSION_TIMEOUT
+    async cleanupStaleSessions() {
+        const now = Date.now();
+        const stale = Array.from(this.sessions.values()).filter(session =>
+            session.status !== 'connected' &&
+            now - new Date(session.lastActivity).getTime() > this.sessionTimeout
+        );
+
+        for (const session of stale) {
+            logger.warn(`Session ${session.id} has been ${session.status} for too long, destroying`);
+            await this.destroySession(session.id);
+
+            this.io.to(`session_${session.id}`).emit('session_timeout', {
+                clientId: session.id,
+                status: session.status,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return stale.length;
+    }
+
     async destroyAllSessions() {
         logger.info('Destroying all sessions...');
+
+        // Nothing queued should start while shutting down
+        this.pendingSessions = [];
         
         const promises = Array.from(this.clients.keys()).map(clientId => 
             this.destroySession(clientId).catch(error => 
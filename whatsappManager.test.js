@@ -0,0 +1,89 @@
+const savedEnv = { ...process.env };
+// Sessions run on the in-process mock client and stay 'initializing', the stub answers AI prompts
+Object.assign(process.env, { MOCK_WHATSAPP: 'true', MOCK_WHATSAPP_AUTO_READY: 'false', AI_PROVIDERS: '["stub"]' });
+
+const WhatsAppManager = require('./whatsappManager');
+
+describe('WhatsAppManager session waiting list', () => {
+    let manager;
+    let events;
+
+    beforeEach(() => {
+        events = [];
+        const io = { to: room => ({ emit: (event, data) => events.push({ room, event, ...data }) }) };
+
+        manager = new WhatsAppManager(io);
+        manager.maxSessions = 2;
+        manager.maxSessionsPerTenant = 0;
+        manager.tenantSessionQuotas = { small: 1 };
+        // Keep session metadata out of the data directory
+        manager.sessionStore.getSessionMetadata = async () => null;
+        manager.sessionStore.saveSessionMetadata = async () => {};
+    });
+
+    afterEach(async () => {
+        clearInterval(manager.staleSessionTimer);
+        manager.pendingSessions = [];
+        for (const clientId of Array.from(manager.clients.keys())) {
+            await manager.destroySession(clientId);
+        }
+    });
+
+    afterAll(() => {
+        process.env = savedEnv;
+    });
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    test('refuses a session over the limit unless asked to queue it', async () => {
+        await manager.createSession('a1');
+        await manager.createSession('a2');
+
+        await expect(manager.createSession('a3')).rejects.toMatchObject({ status: 429, code: 'SESSION_QUOTA_EXCEEDED' });
+
+        expect(await manager.createSession('a3', { queue: true })).toMatchObject({ status: 'queued', position: 1 });
+        expect(await manager.createSession('a4', { queue: true })).toMatchObject({ status: 'queued', position: 2 });
+        // Asking again keeps the place in the queue
+        expect(await manager.createSession('a3', { queue: true })).toMatchObject({ position: 1 });
+        expect(manager.getCapacity()).toEqual({ maxSessions: 2, activeSessions: 2, pendingSessions: 2 });
+    });
+
+    test('starts waiting sessions in order as slots free up', async () => {
+        await manager.createSession('a1');
+        await manager.createSession('a2');
+        await manager.createSession('a3', { queue: true });
+        await manager.createSession('a4', { queue: true });
+
+        await manager.destroySession('a1');
+        await flush();
+
+        expect(manager.sessions.has('a3')).toBe(true);
+        expect(manager.sessions.has('a4')).toBe(false);
+        expect(manager.getPendingSessions()).toEqual([expect.objectContaining({ clientId: 'a4', position: 1 })]);
+        expect(events).toContainEqual(expect.objectContaining({ event: 'session_dequeued', clientId: 'a3' }));
+    });
+
+    test('skips sessions whose tenant is still at its quota', async () => {
+        await manager.createSession('s1', { tenantId: 'small' });
+        expect(await manager.createSession('s2', { tenantId: 'small', queue: true })).toMatchObject({ status: 'queued' });
+        await manager.createSession('a1');
+        await manager.createSession('a2', { queue: true });
+
+        await manager.destroySession('a1');
+        await flush();
+
+        expect(manager.sessions.has('a2')).toBe(true);
+        expect(manager.getPendingSessions('small')).toEqual([expect.objectContaining({ clientId: 's2' })]);
+    });
+
+    test('destroying a queued session only removes it from the waiting list', async () => {
+        await manager.createSession('a1');
+        await manager.createSession('a2');
+        await manager.createSession('a3', { queue: true });
+
+        await manager.destroySession('a3');
+
+        expect(manager.getPendingSessions()).toEqual([]);
+        expect(manager.sessions.size).toBe(2);
+    });
+});